@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+const { main } = require("../src/cli");
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`idw: ${error.message}\n`);
+    process.exitCode = 1;
+}
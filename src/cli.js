@@ -0,0 +1,467 @@
+const fs = require("fs");
+const path = require("path");
+const IDW = require("./idw");
+const generateNoiseIDW = require("./generate-noise-idw");
+const { renderField, encodePGM } = require("./export");
+const { ValidationError, DimensionError } = require("./errors");
+
+/**
+ * Command-line interface module, used by bin/idw.js
+ * @module cli
+ */
+
+const usage = `Usage:
+  idw interpolate <input> [options]   Interpolates points from a CSV or GeoJSON file (use - for stdin)
+  idw noise [options]                 Generates a noise function using generateNoiseIDW
+  idw help                            Shows this message
+
+Options for interpolate:
+  --columns <x,y[,z],value>   CSV columns containing the coordinates and the value, defaults to x, y, z (if present) and value
+  --property <name>           GeoJSON property containing the value, defaults to value
+  --input-format <format>     csv or geojson, defaults to geojson for .json/.geojson files and csv otherwise
+  --delimiter <char>          CSV delimiter, defaults to ,
+  --power <p>                 The power parameter, defaults to 2
+  --metric <name>             euclidean, taxicab, chessboard, minkowski:<p> or haversine, defaults to euclidean
+  --offset <value>            The denominator offset, defaults to 0
+  --neighbors <k>             Only use the k nearest points
+  --search-radius <r>         Only use the points within distance r
+  --periodic <extent>         Periodic extent, e.g. 0:1,0:2 (use - for axes that are not periodic)
+
+Options for noise:
+  --n <n>                     The number of random points, defaults to 50
+  --dimensions <d>            The dimensionality, defaults to 2
+  --seed <seed>               Integer seed, defaults to a random seed
+  --min <value>               The minimum value, defaults to 0
+  --max <value>               The maximum value, defaults to 1
+  --periodic                  Makes the noise tileable over its extent
+  --power <p>                 The power parameter, defaults to 2
+
+Output options:
+  --extent <extent>           Grid extent, e.g. 0:1,0:2, defaults to the periodic extent or the bounding box of the data
+  --resolution <r>            Grid resolution, either a single number or one per axis, e.g. 200x100, defaults to 100
+  --endpoint                  Include the upper bound of the extent in the grid
+  --format <format>           csv, asc (ESRI ASCII grid, 2D only) or pgm (2D only), defaults to the extension of --output or csv
+  --bit-depth <bits>          8 or 16, the bit depth of PGM output, defaults to 8
+  --output <file>             The output file, defaults to stdout
+`;
+
+const flagOptions = ["endpoint", "periodic"];
+
+/**
+ * Parses the command-line arguments into a command, positional arguments and options.
+ * Options are given either as --name value or --name=value, and names are converted to camel case.
+ * @param {string[]} args The arguments, excluding node and the script path
+ * @returns {object} Object containing command, positional and options
+ */
+function parseArguments(args) {
+    const [command, ...rest] = args;
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith("--")) {
+            positional.push(arg);
+            continue;
+        }
+        let [name, value] = arg.slice(2).split(/=(.*)/s);
+        name = name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (value === undefined) {
+            const next = rest[i + 1];
+            // --periodic is a flag for noise, but takes an extent for interpolate
+            const isFlag = flagOptions.includes(name) && (command !== "interpolate" || name !== "periodic");
+            if (isFlag) {
+                value = true;
+            } else if (next === undefined || next.startsWith("--")) {
+                throw new ValidationError(`Missing value for option --${arg.slice(2)}`);
+            } else {
+                value = next;
+                i++;
+            }
+        }
+        options[name] = value;
+    }
+    return { command, positional, options };
+}
+
+/**
+ * Parses a numeric option.
+ * @param {object} options The parsed options
+ * @param {string} name The name of the option
+ * @param {float} [defaultValue] The value used if the option is not specified
+ * @returns {float} The value
+ */
+function _number(options, name, defaultValue) {
+    if (options[name] === undefined) return defaultValue;
+    const value = Number(options[name]);
+    if (options[name] === true || Number.isNaN(value)) throw new ValidationError(`--${name} must be a number`);
+    return value;
+}
+
+/**
+ * Parses an extent on the format lower:upper,lower:upper,..., where - denotes an unspecified axis.
+ * @param {string} text The extent
+ * @param {string} name The name of the option, used in error messages
+ * @returns {Array} The extent, with undefined for unspecified axes
+ */
+function parseExtent(text, name) {
+    return String(text).split(",").map(axis => {
+        if (axis.trim() === "-") return undefined;
+        const bounds = axis.split(":").map(Number);
+        if (bounds.length !== 2 || bounds.some(Number.isNaN) || !(bounds[0] < bounds[1])) {
+            throw new ValidationError(`--${name} must be on the format lower:upper,lower:upper,..., with lower < upper`);
+        }
+        return bounds;
+    });
+}
+
+/**
+ * Parses a line of CSV, where fields can be enclosed in double quotes.
+ * @param {string} line The line
+ * @param {string} delimiter The delimiter
+ * @returns {string[]} The fields
+ */
+function _parseCSVLine(line, delimiter) {
+    const fields = [];
+    let field = "", inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (inQuotes) {
+            if (c === "\"" && line[i + 1] === "\"") {
+                field += c;
+                i++;
+            } else if (c === "\"") {
+                inQuotes = false;
+            } else {
+                field += c;
+            }
+        } else if (c === "\"") {
+            inQuotes = true;
+        } else if (c === delimiter) {
+            fields.push(field.trim());
+            field = "";
+        } else {
+            field += c;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Reads points from CSV text with a header row.
+ * @param {string} text The CSV text
+ * @param {object} options The parsed options, where columns and delimiter are used
+ * @returns {object} The data, containing positions and values
+ */
+function parseCSV(text, options) {
+    const delimiter = options.delimiter || ",";
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== "");
+    if (lines.length < 2) throw new ValidationError("The CSV input must contain a header row and at least one data row");
+    const header = _parseCSVLine(lines[0], delimiter);
+
+    let columns;
+    if (options.columns !== undefined) {
+        columns = String(options.columns).split(",").map(c => c.trim());
+        if (columns.length < 2) throw new ValidationError("--columns must contain at least one coordinate column and the value column");
+    } else {
+        columns = ["x", "y", "z"].filter(c => header.includes(c)).concat(["value"]);
+    }
+    const indices = columns.map(c => {
+        const index = header.indexOf(c);
+        if (index === -1) throw new ValidationError(`The CSV input has no column named ${c}`);
+        return index;
+    });
+
+    const positions = [], values = [];
+    lines.slice(1).forEach((line, i) => {
+        const fields = _parseCSVLine(line, delimiter);
+        const numbers = indices.map(index => fields[index] === undefined || fields[index] === "" ? NaN : Number(fields[index]));
+        if (numbers.some(Number.isNaN)) throw new ValidationError(`Row ${i + 2} of the CSV input contains a missing or non-numeric value`);
+        positions.push(numbers.slice(0, -1));
+        values.push(numbers[numbers.length - 1]);
+    });
+    return { positions, values };
+}
+
+/**
+ * Reads points from a GeoJSON FeatureCollection (or a single Feature) with Point or MultiPoint geometries.
+ * @param {string} text The GeoJSON text
+ * @param {object} options The parsed options, where property is used
+ * @returns {object} The data, containing positions and values
+ */
+function parseGeoJSON(text, options) {
+    const property = options.property || "value";
+    const json = JSON.parse(text);
+    const features = json.type === "FeatureCollection" ? json.features : [json];
+    const positions = [], values = [];
+    features.forEach((feature, i) => {
+        const { geometry, properties } = feature;
+        if (geometry === null || geometry === undefined) return;
+        const value = properties ? Number(properties[property]) : NaN;
+        if (Number.isNaN(value)) throw new ValidationError(`Feature ${i} has a missing or non-numeric property ${property}`);
+        const points = geometry.type === "Point" ? [geometry.coordinates] :
+                       geometry.type === "MultiPoint" ? geometry.coordinates : undefined;
+        if (points === undefined) throw new ValidationError(`Feature ${i} has geometry type ${geometry.type}, only Point and MultiPoint are supported`);
+        points.forEach(p => {
+            positions.push(p);
+            values.push(value);
+        });
+    });
+    if (positions.length === 0) throw new ValidationError("The GeoJSON input contains no points");
+    return { positions, values };
+}
+
+/**
+ * Configures the distance function of an IDW from the --metric option.
+ * @param {IDW} idw The IDW
+ * @param {string} metric euclidean, taxicab, chessboard, minkowski:<p> or haversine
+ */
+function _useMetric(idw, metric) {
+    const [name, parameter] = String(metric).split(":");
+    switch (name) {
+        case "euclidean": idw.useEuclideanDistance(); break;
+        case "taxicab": idw.useTaxicabDistance(); break;
+        case "chessboard": idw.useChessboardDistance(); break;
+        case "minkowski": idw.useMinkowskiDistance(parameter !== undefined ? Number(parameter) : 2); break;
+        case "haversine": idw.useHaversineDistance(); break;
+        default: throw new ValidationError(`Unknown metric ${metric}, must be euclidean, taxicab, chessboard, minkowski:<p> or haversine`);
+    }
+}
+
+/**
+ * Creates an IDW from input data and the interpolate options.
+ * @param {object} data The data, containing positions and values
+ * @param {object} options The parsed options
+ * @returns {IDW} The IDW
+ */
+function createIDW(data, options) {
+    const idwOptions = {
+        power: _number(options, "power", 2),
+        denominatorOffset: _number(options, "offset", 0)
+    };
+    if (options.periodic !== undefined) {
+        const periodicExtent = {};
+        parseExtent(options.periodic, "periodic").forEach((bounds, i) => {
+            if (bounds !== undefined) periodicExtent[i] = bounds;
+        });
+        idwOptions.periodicExtent = periodicExtent;
+    }
+    const idw = new IDW(data, idwOptions);
+    if (options.metric !== undefined) _useMetric(idw, options.metric);
+    if (options.neighbors !== undefined) idw.setNeighbors(_number(options, "neighbors"));
+    if (options.searchRadius !== undefined) idw.setSearchRadius(_number(options, "searchRadius"));
+    return idw;
+}
+
+/**
+ * Determines the grid extent, using --extent if specified, and otherwise the periodic extent or the bounding box of the positions.
+ * @param {IDW} idw The IDW
+ * @param {object} options The parsed options
+ * @returns {Array[]} The extent, with one entry per dimension
+ */
+function _gridExtent(idw, options) {
+    const extent = options.extent !== undefined ? parseExtent(options.extent, "extent") : [];
+    if (extent.length > idw.dim) throw new ValidationError(`--extent has more axes than the data, which has dimension ${idw.dim}`);
+    return Array(idw.dim).fill().map((_, i) => {
+        if (extent[i] !== undefined) return extent[i];
+        if (idw.isPeriodic && idw.extent[i] !== undefined) return idw.extent[i];
+        // Spreading the coordinates into Math.min/Math.max overflows the call stack for large inputs
+        return idw.positions.reduce(([min, max], p) => [Math.min(min, p[i]), Math.max(max, p[i])], [Infinity, -Infinity]);
+    });
+}
+
+/**
+ * Parses the --resolution option.
+ * @param {object} options The parsed options
+ * @param {int} dim The dimensionality
+ * @returns {int[]} The resolution along each axis
+ */
+function _resolution(options, dim) {
+    const text = options.resolution !== undefined ? String(options.resolution) : "100";
+    let resolution = text.split("x").map(Number);
+    if (resolution.length === 1) resolution = Array(dim).fill(resolution[0]);
+    if (resolution.length !== dim || !resolution.every(r => Number.isInteger(r) && r >= 1)) {
+        throw new ValidationError(`--resolution must be a positive integer or ${dim} positive integers separated by x`);
+    }
+    return resolution;
+}
+
+/**
+ * Formats a grid as CSV, with one row per grid point containing the coordinates and the value.
+ * @param {object} grid The result of evaluateGrid
+ * @returns {string} The CSV text
+ */
+function formatCSV(grid) {
+    const { shape, extent } = grid;
+    const dim = shape.length;
+    const names = dim <= 3 ? ["x", "y", "z"].slice(0, dim) : shape.map((_, i) => `x${i + 1}`);
+    const steps = _gridSteps(grid);
+    const position = Array(dim);
+    const lines = [names.concat(["value"]).join(",")];
+    grid.values.forEach((value, index) => {
+        IDW._gridPosition({ shape, extent, steps }, index, position);
+        lines.push(position.concat([value]).join(","));
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Formats a two-dimensional grid as an ESRI ASCII grid, where the grid points are the cell centers.
+ * Non-square cells are written using dx and dy instead of cellsize, and NaN is written as NODATA_value.
+ * @param {object} grid The result of evaluateGrid
+ * @returns {string} The ESRI ASCII grid
+ */
+function formatASCIIGrid(grid) {
+    const { shape, extent, values } = grid;
+    if (shape.length !== 2) throw new DimensionError("ESRI ASCII grids can only be written for two-dimensional data");
+    const [ncols, nrows] = shape;
+    const [dx, dy] = _gridSteps(grid);
+    const noData = -9999;
+    const lines = [
+        `ncols ${ncols}`,
+        `nrows ${nrows}`,
+        `xllcenter ${extent[0][0]}`,
+        `yllcenter ${extent[1][0]}`
+    ];
+    if (dx === dy) {
+        lines.push(`cellsize ${dx}`);
+    } else {
+        lines.push(`dx ${dx}`, `dy ${dy}`);
+    }
+    lines.push(`NODATA_value ${noData}`);
+    // The first row is the northernmost
+    for (let row = nrows - 1; row >= 0; row--) {
+        const rowValues = Array.from(values.subarray(row*ncols, (row + 1)*ncols), v => Number.isNaN(v) ? noData : v);
+        lines.push(rowValues.join(" "));
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Computes the spacing between the grid points along each axis.
+ * @param {object} grid The result of evaluateGrid, with the additional property endpoint
+ * @returns {float[]} The spacing along each axis
+ */
+function _gridSteps(grid) {
+    return grid.shape.map((r, i) => {
+        const divisor = grid.endpoint ? r - 1 : r;
+        return divisor === 0 ? 0 : (grid.extent[i][1] - grid.extent[i][0]) / divisor;
+    });
+}
+
+/**
+ * Evaluates a field on a grid and formats the result according to the output options.
+ * @param {IDW} field The field to evaluate
+ * @param {Array[]} extent The grid extent
+ * @param {object} options The parsed options
+ * @returns {string|Buffer} The output
+ */
+function formatOutput(field, extent, options) {
+    const format = options.format || (options.output ? path.extname(options.output).slice(1).toLowerCase() : "csv");
+    const resolution = _resolution(options, field.dim);
+    const endpoint = options.endpoint === true;
+    const power = _number(options, "power", field.power);
+    switch (format) {
+        case "csv":
+        case "txt": {
+            const grid = field.evaluateGrid({ extent, resolution, endpoint, power });
+            return formatCSV(Object.assign(grid, { endpoint }));
+        }
+        case "asc": {
+            const grid = field.evaluateGrid({ extent, resolution, endpoint, power });
+            return formatASCIIGrid(Object.assign(grid, { endpoint }));
+        }
+        case "pgm": {
+            if (field.dim !== 2) throw new DimensionError("PGM images can only be written for two-dimensional data");
+            if (endpoint) throw new ValidationError("--endpoint is not supported for PGM output");
+            const raster = renderField(field, { width: resolution[0], height: resolution[1], extent, power, flipY: true });
+            return encodePGM(raster, { bitDepth: _number(options, "bitDepth", 8) });
+        }
+        default:
+            throw new ValidationError(`Unknown format ${format}, must be csv, asc or pgm`);
+    }
+}
+
+/**
+ * Runs the interpolate command.
+ * @param {string[]} positional The positional arguments, where the first is the input file
+ * @param {object} options The parsed options
+ * @returns {string|Buffer} The output
+ */
+function interpolate(positional, options) {
+    const [input] = positional;
+    if (input === undefined) throw new ValidationError("Missing input file, use - to read from stdin");
+    const text = fs.readFileSync(input === "-" ? 0 : input, "utf8");
+    const extension = input === "-" ? "" : path.extname(input).toLowerCase();
+    const inputFormat = options.inputFormat || ([".json", ".geojson"].includes(extension) ? "geojson" : "csv");
+    let data;
+    if (inputFormat === "csv") {
+        data = parseCSV(text, options);
+    } else if (inputFormat === "geojson") {
+        data = parseGeoJSON(text, options);
+    } else {
+        throw new ValidationError(`Unknown input format ${inputFormat}, must be csv or geojson`);
+    }
+    const idw = createIDW(data, options);
+    return formatOutput(idw, _gridExtent(idw, options), options);
+}
+
+/**
+ * Runs the noise command.
+ * @param {object} options The parsed options
+ * @returns {string|Buffer} The output
+ */
+function noise(options) {
+    const dimensions = _number(options, "dimensions", 2);
+    const seed = options.seed !== undefined ? _number(options, "seed") : Math.floor(Math.random()*4294967296);
+    if (!Number.isInteger(seed)) throw new ValidationError("--seed must be an integer");
+    let extent = options.extent !== undefined ? parseExtent(options.extent, "extent") : Array(dimensions).fill().map(() => [-1, 1]);
+    if (extent.length !== dimensions || extent.includes(undefined)) throw new ValidationError("--extent must have one entry per dimension");
+    const idw = generateNoiseIDW({
+        n: _number(options, "n", 50),
+        dimensions,
+        minValue: _number(options, "min", 0),
+        maxValue: _number(options, "max", 1),
+        extent: dimensions === 1 ? extent[0] : extent,
+        periodic: options.periodic === true
+    }, seed);
+    return formatOutput(idw, extent, options);
+}
+
+/**
+ * Runs the command-line interface.
+ * @param {string[]} args The arguments, excluding node and the script path
+ * @returns {string|Buffer} The output, which is also written to --output or stdout
+ */
+function main(args) {
+    const { command, positional, options } = parseArguments(args);
+    let output;
+    switch (command) {
+        case "interpolate": output = interpolate(positional, options); break;
+        case "noise": output = noise(options); break;
+        case undefined:
+        case "help":
+        case "--help":
+            output = usage;
+            break;
+        default:
+            throw new ValidationError(`Unknown command ${command}\n\n${usage}`);
+    }
+    if (options.output !== undefined) {
+        fs.writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+    return output;
+}
+
+module.exports = {
+    main,
+    parseArguments,
+    parseExtent,
+    parseCSV,
+    parseGeoJSON,
+    createIDW,
+    formatCSV,
+    formatASCIIGrid
+};
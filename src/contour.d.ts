@@ -0,0 +1,48 @@
+/**
+ * Type definitions for idw/src/contour
+ */
+
+import { Bounds, GridField } from "./index";
+
+export interface ContourOptions {
+    /** The levels of the contours. */
+    levels: number | number[];
+    /** Defaults to the periodic extent of the field. */
+    extent?: [Bounds, Bounds];
+    /** The number of grid cells along each axis, defaults to 100. */
+    resolution?: number | [number, number];
+    power?: number;
+    /** If true, Polygon features covering the regions where the value is at least the level are returned instead of lines. */
+    polygons?: boolean;
+}
+
+export interface ContourFeature {
+    type: "Feature";
+    properties: { value: number };
+    geometry:
+        { type: "LineString"; coordinates: [number, number][] } |
+        { type: "Polygon"; coordinates: [number, number][][] };
+}
+
+export interface ContourCollection {
+    type: "FeatureCollection";
+    features: ContourFeature[];
+}
+
+export interface IsosurfaceOptions {
+    level: number;
+    /** Defaults to the periodic extent of the field. */
+    extent?: [Bounds, Bounds, Bounds];
+    /** The number of grid cells along each axis, defaults to 32. */
+    resolution?: number | [number, number, number];
+    power?: number;
+}
+
+export interface Mesh {
+    positions: [number, number, number][];
+    cells: [number, number, number][];
+}
+
+export declare function contours(field: GridField, options: ContourOptions): ContourCollection;
+export declare function isosurface(field: GridField, options: IsosurfaceOptions): Mesh;
+export declare function meshToOBJ(mesh: Mesh): string;
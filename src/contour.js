@@ -0,0 +1,353 @@
+const { ValidationError, DimensionError } = require("./errors");
+
+/**
+ * Contour module, used for extracting contour lines and polygons (marching squares) from two-dimensional fields,
+ * and isosurfaces (marching cubes) from three-dimensional fields.
+ * @module contour
+ */
+
+/**
+ * The corners of a square cell in counterclockwise order, as offsets [dx, dy] from the lower left corner.
+ */
+const squareCorners = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+/**
+ * The six tetrahedra that each cube is split into, given by the corner indices dx + 2*dy + 4*dz. They all share the diagonal 0-7,
+ * which ensures that the faces of neighbouring cubes match, and that the resulting mesh is watertight.
+ */
+const cubeTetrahedra = [[0, 1, 3, 7], [0, 3, 2, 7], [0, 2, 6, 7], [0, 6, 4, 7], [0, 4, 5, 7], [0, 5, 1, 7]];
+
+/**
+ * Evaluates a field at the nodes of a grid, where the nodes include both bounds of the extent.
+ * Along axes where the extent matches the periodic extent of the field, the last layer of nodes is copied from the first,
+ * so that contours at opposite edges match exactly and join up when the result is tiled.
+ * @param {object} field The field, an IDW or any object with an evaluateGrid method
+ * @param {object} options The options, containing extent, resolution and power
+ * @param {int} dim The required dimensionality
+ * @param {int} defaultResolution The resolution used if options.resolution is not specified
+ * @returns {object} Object containing values, shape (the number of nodes along each axis) and coordinates (the node coordinates along each axis)
+ */
+function _sampleNodes(field, options, dim, defaultResolution) {
+    const { extent, resolution = defaultResolution, power } = options;
+    if (field.dim !== undefined && field.dim !== dim) throw new DimensionError(`The field must be ${dim}-dimensional`);
+    const cells = typeof resolution === "number" ? Array(dim).fill(resolution) : resolution;
+    if (!Array.isArray(cells) || cells.length !== dim || !cells.every(r => Number.isInteger(r) && r >= 1)) {
+        throw new ValidationError("resolution must be a positive integer or an array of positive integers, one per dimension");
+    }
+    const shape = cells.map(r => r + 1);
+    const grid = field.evaluateGrid({ extent, resolution: shape, endpoint: true, power });
+    if (grid.channels !== 1) throw new ValidationError("Only fields with scalar values can be contoured");
+    const values = grid.values;
+
+    const coordinates = grid.extent.map(([lower, upper], i) => {
+        return Array(shape[i]).fill().map((_, j) => j === cells[i] ? upper : lower + j*(upper - lower)/cells[i]);
+    });
+
+    const strides = shape.map((_, i) => shape.slice(0, i).reduce((product, r) => product*r, 1));
+    grid.extent.forEach(([lower, upper], i) => {
+        const periodicExtent = field.isPeriodic ? field.extent[i] : undefined;
+        if (periodicExtent === undefined || periodicExtent[0] !== lower || periodicExtent[1] !== upper) return;
+        const last = cells[i]*strides[i];
+        for (let index = 0; index < values.length; index++) {
+            // Copy from the node with index 0 along axis i to the node with index cells[i]
+            if (Math.floor(index / strides[i]) % shape[i] === 0) values[index + last] = values[index];
+        }
+    });
+    return { values, shape, coordinates };
+}
+
+/**
+ * Computes the point where the field crosses the level along a grid edge, using linear interpolation.
+ * Nodes with value -Infinity or NaN are treated as lying infinitely far below the level, so the point is placed at the other node.
+ * @param {Array} a The position of the first node
+ * @param {float} va The value at the first node
+ * @param {Array} b The position of the second node
+ * @param {float} vb The value at the second node
+ * @param {float} level The level
+ * @returns {Array} The position of the crossing
+ */
+function _crossing(a, va, b, vb, level) {
+    if (!(va > -Infinity)) return b.slice();
+    if (!(vb > -Infinity)) return a.slice();
+    const t = (level - va) / (vb - va);
+    return a.map((c, i) => c + t*(b[i] - c));
+}
+
+/**
+ * Runs marching squares on a grid of node values, and chains the resulting segments into lines.
+ * Each line is oriented so that values above the level lie on its left side, which means that closed lines around maxima are counterclockwise.
+ * @param {Float64Array} values The node values, with the first axis varying fastest
+ * @param {Array} shape The number of nodes along each axis
+ * @param {Array[]} coordinates The node coordinates along each axis
+ * @param {float} level The level
+ * @returns {Array[]} The lines, as arrays of [x, y] positions, where closed lines end with their first position
+ */
+function _marchingSquares(values, shape, coordinates, level) {
+    const [nx, ny] = shape;
+    const points = new Map();
+    const next = new Map();
+    const isInside = v => v >= level;
+
+    // The edges of a cell are numbered 0-3 counterclockwise, starting with the bottom edge, where edge k goes from corner k to corner k + 1.
+    // Each grid edge gets a unique id: 2*node for the edge in the x-direction and 2*node + 1 for the edge in the y-direction
+    const edgeId = (i, j, k) => {
+        const [di, dj] = squareCorners[k];
+        const [ei, ej] = squareCorners[(k + 1) % 4];
+        const node = Math.min(i + di, i + ei) + Math.min(j + dj, j + ej)*nx;
+        return 2*node + (di === ei ? 1 : 0);
+    };
+
+    for (let j = 0; j < ny - 1; j++) {
+        for (let i = 0; i < nx - 1; i++) {
+            const cornerValues = squareCorners.map(([di, dj]) => values[i + di + (j + dj)*nx]);
+            const inside = cornerValues.map(isInside);
+            // Walking counterclockwise along the cell boundary, the contour leaves the region above the level at exits and returns at entries
+            const exits = [], entries = [];
+            for (let k = 0; k < 4; k++) {
+                if (inside[k] && !inside[(k + 1) % 4]) exits.push(k);
+                if (!inside[k] && inside[(k + 1) % 4]) entries.push(k);
+            }
+            if (exits.length === 0) continue;
+
+            // In the ambiguous saddle case, the average of the corners decides whether the regions above the level are connected through the center
+            const isCenterInside = exits.length === 2 && isInside(cornerValues.reduce((sum, v) => sum + v, 0) / 4);
+            exits.forEach(k => {
+                const later = entries.filter(e => e > k);
+                const earlier = entries.filter(e => e < k);
+                // Either the next or the previous entry counterclockwise, which only differ in the saddle case
+                const entry = exits.length === 1 || isCenterInside ?
+                    (later.length > 0 ? later[0] : entries[0]) :
+                    (earlier.length > 0 ? earlier[earlier.length - 1] : entries[entries.length - 1]);
+                [k, entry].forEach(e => {
+                    const id = edgeId(i, j, e);
+                    if (points.has(id)) return;
+                    // Always interpolate from the lower to the upper node, so that edges at opposite sides of a periodic extent give identical results
+                    const [first, second] = e < 2 ? [e, (e + 1) % 4] : [(e + 1) % 4, e];
+                    const [di, dj] = squareCorners[first];
+                    const [ei, ej] = squareCorners[second];
+                    points.set(id, _crossing(
+                        [coordinates[0][i + di], coordinates[1][j + dj]], cornerValues[first],
+                        [coordinates[0][i + ei], coordinates[1][j + ej]], cornerValues[second],
+                        level
+                    ));
+                });
+                next.set(edgeId(i, j, k), edgeId(i, j, entry));
+            });
+        }
+    }
+
+    // Open lines start at edges that no segment ends at, the remaining segments form closed lines
+    const ends = new Set(next.values());
+    const starts = Array.from(next.keys()).filter(id => !ends.has(id)).concat(Array.from(next.keys()));
+    const lines = [];
+    starts.forEach(start => {
+        if (!next.has(start)) return;
+        const line = [points.get(start)];
+        let id = start;
+        while (next.has(id)) {
+            const following = next.get(id);
+            next.delete(id);
+            const point = points.get(following);
+            const previous = line[line.length - 1];
+            // Segments touching the padding in _contourPolygons can have zero length
+            if (point[0] !== previous[0] || point[1] !== previous[1]) line.push(point);
+            id = following;
+        }
+        if (line.length > 1) lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * Computes the signed area of a closed ring, which is positive if the ring is counterclockwise.
+ * @param {Array[]} ring The ring, ending with its first position
+ * @returns {float} The signed area
+ */
+function _signedArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) area += ring[i][0]*ring[i + 1][1] - ring[i + 1][0]*ring[i][1];
+    return area / 2;
+}
+
+/**
+ * Checks whether a point is inside a closed ring, using the even-odd rule.
+ * @param {Array} point The point
+ * @param {Array[]} ring The ring, ending with its first position
+ * @returns {boolean} True if the point is inside
+ */
+function _isInsideRing(point, ring) {
+    const [x, y] = point;
+    let isInside = false;
+    for (let i = 0, j = ring.length - 2; i < ring.length - 1; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < xj + (y - yj)*(xi - xj)/(yi - yj)) isInside = !isInside;
+    }
+    return isInside;
+}
+
+/**
+ * Computes the polygons covering the region where the node values are at least the level.
+ * The grid is padded with -Infinity, which closes the contours along the boundary of the extent.
+ * @param {Float64Array} values The node values
+ * @param {Array} shape The number of nodes along each axis
+ * @param {Array[]} coordinates The node coordinates along each axis
+ * @param {float} level The level
+ * @returns {Array[]} The polygons, each given as an array of rings where the first is the exterior (counterclockwise) and the rest are holes (clockwise)
+ */
+function _contourPolygons(values, shape, coordinates, level) {
+    const [nx, ny] = shape;
+    const padded = new Float64Array((nx + 2)*(ny + 2)).fill(-Infinity);
+    for (let j = 0; j < ny; j++) {
+        for (let i = 0; i < nx; i++) padded[i + 1 + (j + 1)*(nx + 2)] = values[i + j*nx];
+    }
+    // The coordinates of the padding are never used, since crossings are placed at the node with a finite value
+    const paddedCoordinates = coordinates.map(c => [c[0]].concat(c, [c[c.length - 1]]));
+    const rings = _marchingSquares(padded, [nx + 2, ny + 2], paddedCoordinates, level).filter(ring => ring.length >= 4);
+
+    const polygons = [];
+    const holes = [];
+    rings.forEach(ring => {
+        const area = _signedArea(ring);
+        if (area > 0) polygons.push({ rings: [ring], area });
+        else if (area < 0) holes.push(ring);
+    });
+    // Each hole belongs to the smallest exterior ring that contains it
+    holes.forEach(hole => {
+        let owner;
+        polygons.forEach(polygon => {
+            if (_isInsideRing(hole[0], polygon.rings[0]) && (owner === undefined || polygon.area < owner.area)) owner = polygon;
+        });
+        if (owner !== undefined) owner.rings.push(hole);
+    });
+    return polygons.map(polygon => polygon.rings);
+}
+
+/**
+ * Extracts contours from a two-dimensional field using marching squares, and returns them as a GeoJSON FeatureCollection.
+ * The field is evaluated at the nodes of a grid that includes both bounds of the extent. If the extent is the periodic extent of the field,
+ * contours that cross the edges of the extent join up when the result is tiled.
+ * @param {object} field The field, an IDW or any object with an evaluateGrid method that returns a single value per position
+ * @param {object} options The contour options
+ * @param {Array|float} options.levels The levels of the contours, either an array or a single number
+ * @param {Array[]} [options.extent] The extent [[x0, x1], [y0, y1]] to contour, defaults to the periodic extent of the field
+ * @param {int|Array} [options.resolution] The number of grid cells along each axis, either a single number or one per axis, defaults to 100
+ * @param {float} [options.power] The power used when evaluating the field, defaults to the power of the field
+ * @param {boolean} [options.polygons] If true, the result contains Polygon features covering the regions where the value is at least the level,
+ * instead of LineString features, defaults to false
+ * @returns {object} GeoJSON FeatureCollection, where each feature has the property value, containing its level
+ */
+function contours(field, options) {
+    const { polygons = false } = options;
+    const levels = typeof options.levels === "number" ? [options.levels] : options.levels;
+    if (!Array.isArray(levels) || !levels.every(level => typeof level === "number")) throw new ValidationError("levels must be a number or an array of numbers");
+    const { values, shape, coordinates } = _sampleNodes(field, options, 2, 100);
+
+    const features = [];
+    levels.forEach(level => {
+        if (polygons) {
+            _contourPolygons(values, shape, coordinates, level).forEach(rings => {
+                features.push({ type: "Feature", properties: { value: level }, geometry: { type: "Polygon", coordinates: rings } });
+            });
+        } else {
+            _marchingSquares(values, shape, coordinates, level).forEach(line => {
+                features.push({ type: "Feature", properties: { value: level }, geometry: { type: "LineString", coordinates: line } });
+            });
+        }
+    });
+    return { type: "FeatureCollection", features };
+}
+
+/**
+ * Extracts the isosurface where a three-dimensional field equals the level, using marching cubes.
+ * Each cube is split into six tetrahedra, which avoids the ambiguous cases of the classic lookup table and gives a watertight mesh.
+ * The triangles are oriented so that their normals (using the right-hand rule) point towards lower values.
+ * @param {object} field The field, an IDW or any object with an evaluateGrid method that returns a single value per position
+ * @param {object} options The isosurface options
+ * @param {float} options.level The level of the isosurface
+ * @param {Array[]} [options.extent] The extent [[x0, x1], [y0, y1], [z0, z1]], defaults to the periodic extent of the field
+ * @param {int|Array} [options.resolution] The number of grid cells along each axis, either a single number or one per axis, defaults to 32
+ * @param {float} [options.power] The power used when evaluating the field, defaults to the power of the field
+ * @returns {object} The mesh, containing positions (array of [x, y, z]) and cells (array of vertex index triples)
+ */
+function isosurface(field, options) {
+    const { level } = options;
+    if (typeof level !== "number") throw new ValidationError("level must be a number");
+    const { values, shape, coordinates } = _sampleNodes(field, options, 3, 32);
+    const [nx, ny, nz] = shape;
+    const nodeCount = values.length;
+
+    const positions = [];
+    const cells = [];
+    const vertexIndices = new Map();
+    const nodePosition = node => [coordinates[0][node % nx], coordinates[1][Math.floor(node / nx) % ny], coordinates[2][Math.floor(node / (nx*ny))]];
+    // Vertices lie on grid edges, and are shared by every triangle touching the same edge
+    const vertex = (a, b) => {
+        if (a > b) [a, b] = [b, a];
+        const key = a*nodeCount + b;
+        if (!vertexIndices.has(key)) {
+            vertexIndices.set(key, positions.length);
+            positions.push(_crossing(nodePosition(a), values[a], nodePosition(b), values[b], level));
+        }
+        return vertexIndices.get(key);
+    };
+    const addTriangle = (triangle, insideNodes, outsideNodes) => {
+        const [p0, p1, p2] = triangle.map(i => positions[i]);
+        const u = p1.map((c, i) => c - p0[i]);
+        const v = p2.map((c, i) => c - p0[i]);
+        const normal = [u[1]*v[2] - u[2]*v[1], u[2]*v[0] - u[0]*v[2], u[0]*v[1] - u[1]*v[0]];
+        // The normal should point from the nodes above the level towards the nodes below
+        const direction = [0, 1, 2].map(i => {
+            const mean = nodes => nodes.reduce((sum, node) => sum + nodePosition(node)[i], 0) / nodes.length;
+            return mean(outsideNodes) - mean(insideNodes);
+        });
+        const dot = normal.reduce((sum, c, i) => sum + c*direction[i], 0);
+        cells.push(dot < 0 ? [triangle[0], triangle[2], triangle[1]] : triangle);
+    };
+
+    for (let k = 0; k < nz - 1; k++) {
+        for (let j = 0; j < ny - 1; j++) {
+            for (let i = 0; i < nx - 1; i++) {
+                const base = i + j*nx + k*nx*ny;
+                const corners = Array(8).fill().map((_, c) => base + (c & 1) + ((c >> 1) & 1)*nx + ((c >> 2) & 1)*nx*ny);
+                cubeTetrahedra.forEach(tetrahedron => {
+                    const nodes = tetrahedron.map(c => corners[c]);
+                    const insideNodes = nodes.filter(node => values[node] >= level);
+                    const outsideNodes = nodes.filter(node => !(values[node] >= level));
+                    if (insideNodes.length === 0 || outsideNodes.length === 0) return;
+                    if (insideNodes.length === 2) {
+                        // The surface is a quadrilateral, split into two triangles
+                        const [a, b] = insideNodes;
+                        const [c, d] = outsideNodes;
+                        const quad = [vertex(a, c), vertex(a, d), vertex(b, d), vertex(b, c)];
+                        addTriangle([quad[0], quad[1], quad[2]], insideNodes, outsideNodes);
+                        addTriangle([quad[0], quad[2], quad[3]], insideNodes, outsideNodes);
+                    } else {
+                        // The surface is a triangle cutting off the single node on one side
+                        const [single, others] = insideNodes.length === 1 ? [insideNodes[0], outsideNodes] : [outsideNodes[0], insideNodes];
+                        addTriangle(others.map(node => vertex(single, node)), insideNodes, outsideNodes);
+                    }
+                });
+            }
+        }
+    }
+    return { positions, cells };
+}
+
+/**
+ * Formats a mesh created by isosurface as a Wavefront OBJ file.
+ * @param {object} mesh The mesh, containing positions and cells
+ * @returns {string} The OBJ file
+ */
+function meshToOBJ(mesh) {
+    const lines = mesh.positions.map(p => `v ${p.join(" ")}`);
+    // OBJ indices start at 1
+    mesh.cells.forEach(cell => lines.push(`f ${cell.map(i => i + 1).join(" ")}`));
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    contours,
+    isosurface,
+    meshToOBJ
+};
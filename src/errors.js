@@ -0,0 +1,52 @@
+/**
+ * Error classes module. Every error thrown by idw is an IDWError, and the subclasses describe what went wrong,
+ * so that callers can use instanceof instead of parsing messages.
+ * @module errors
+ */
+
+/**
+ * Base class of all errors thrown by idw.
+ */
+class IDWError extends Error {
+    /**
+     * @param {string} message The error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Thrown when an argument or option has an invalid type or value.
+ */
+class ValidationError extends IDWError {}
+
+/**
+ * Thrown when positions, query positions or other arrays don't have the expected dimension, e.g. when positions have mixed dimensions.
+ */
+class DimensionError extends ValidationError {}
+
+/**
+ * Thrown when the periodic extent is invalid, or when positions lie outside it.
+ */
+class PeriodicExtentError extends ValidationError {}
+
+/**
+ * Thrown when positions or values contain NaN (or null/undefined values) and the option missingValues is "error".
+ */
+class MissingValueError extends ValidationError {}
+
+/**
+ * Thrown when an IDW can't be serialized (e.g. because of custom functions), or when serialized data is invalid.
+ */
+class SerializationError extends IDWError {}
+
+module.exports = {
+    IDWError,
+    ValidationError,
+    DimensionError,
+    PeriodicExtentError,
+    MissingValueError,
+    SerializationError
+};
@@ -0,0 +1,54 @@
+/**
+ * Type definitions for idw/src/export
+ */
+
+import { Bounds, GridField } from "./index";
+
+/** A list of evenly spaced [r, g, b] colors, or a function mapping t in [0, 1] to a color. */
+export type Colormap = [number, number, number][] | ((t: number) => [number, number, number]);
+
+export interface Raster {
+    width: number;
+    height: number;
+    /** The values row by row. */
+    data: Float64Array;
+}
+
+export interface RenderOptions {
+    width: number;
+    /** Defaults to width. */
+    height?: number;
+    /** Defaults to the periodic extent of the field. */
+    extent?: [Bounds, Bounds];
+    power?: number;
+    /** If true, the first row corresponds to the upper y-bound, defaults to false. */
+    flipY?: boolean;
+}
+
+export interface PGMOptions {
+    bitDepth?: 8 | 16;
+    min?: number;
+    max?: number;
+}
+
+export interface PNGOptions extends PGMOptions {
+    colormap?: "grayscale" | "viridis" | "magma" | "terrain" | Colormap;
+}
+
+export declare const colormaps: {
+    grayscale: [number, number, number][];
+    viridis: [number, number, number][];
+    magma: [number, number, number][];
+    terrain: [number, number, number][];
+};
+
+export declare function renderField(field: GridField, options: RenderOptions): Raster;
+export declare function normalizeRaster(raster: Raster, min?: number, max?: number): Float64Array;
+export declare function applyColormap(colormap: Colormap, t: number): [number, number, number];
+// The encoders return Node.js Buffers, which are declared as Uint8Array so that @types/node isn't required
+export declare function encodePGM(raster: Raster, options?: PGMOptions): Uint8Array;
+export declare function encodePNG(raster: Raster, options?: PNGOptions): Uint8Array;
+export declare function encodeFloat32(raster: Raster): Uint8Array;
+export declare function writePGM(field: GridField, path: string, options: RenderOptions & PGMOptions): Raster;
+export declare function writePNG(field: GridField, path: string, options: RenderOptions & PNGOptions): Raster;
+export declare function writeFloat32(field: GridField, path: string, options: RenderOptions): Raster;
@@ -0,0 +1,301 @@
+const fs = require("fs");
+const zlib = require("zlib");
+const { ValidationError, DimensionError } = require("./errors");
+
+/**
+ * Raster export module, used for writing two-dimensional fields to PGM/PNG images and raw float32 heightmaps.
+ * Requires Node.js, but has no other dependencies.
+ * @module export
+ */
+
+/**
+ * Predefined colormaps, each given as a list of evenly spaced RGB colors.
+ */
+const colormaps = {
+    grayscale: [[0, 0, 0], [255, 255, 255]],
+    viridis: [
+        [68, 1, 84], [71, 44, 122], [59, 81, 139], [44, 113, 142], [33, 144, 141],
+        [39, 173, 129], [92, 200, 99], [170, 220, 50], [253, 231, 37]
+    ],
+    magma: [
+        [0, 0, 4], [28, 16, 68], [79, 18, 123], [129, 37, 129], [181, 54, 122],
+        [229, 80, 100], [251, 135, 97], [254, 194, 135], [252, 253, 191]
+    ],
+    terrain: [[51, 51, 153], [0, 153, 255], [0, 204, 102], [255, 255, 153], [128, 92, 84], [255, 255, 255]]
+};
+
+/**
+ * Evaluates a two-dimensional scalar field on a grid of pixels. The pixel centers are not used: pixel (x, y) is sampled at
+ * [x0 + x*(x1 - x0)/width, y0 + y*(y1 - y0)/height], which means that an image of a field with a periodic extent tiles pixel-exactly.
+ * @param {object} field The field to render, an IDW or any object with an evaluateGrid method, such as the result of generateFractalNoiseIDW
+ * @param {object} options The options describing the raster
+ * @param {int} options.width The width of the raster in pixels
+ * @param {int} [options.height] The height of the raster in pixels, defaults to width
+ * @param {Array[]} [options.extent] The extent [[x0, x1], [y0, y1]] covered by the raster, defaults to the periodic extent of the field
+ * @param {float} [options.power] The power used when evaluating the field, defaults to the power of the field
+ * @param {boolean} [options.flipY] If true, the first row of the raster corresponds to y1 instead of y0, defaults to false
+ * @returns {object} The raster, containing width, height and data (a Float64Array with the values row by row)
+ */
+function renderField(field, options) {
+    const { width, height = width, extent, power, flipY = false } = options;
+    if (field.dim !== undefined && field.dim !== 2) throw new DimensionError("Only two-dimensional fields can be rendered");
+    if (!(Number.isInteger(width) && width >= 1)) throw new ValidationError("width must be a positive integer");
+    if (!(Number.isInteger(height) && height >= 1)) throw new ValidationError("height must be a positive integer");
+
+    const grid = field.evaluateGrid({ extent, resolution: [width, height], power });
+    if (grid.channels !== 1) throw new ValidationError("Only fields with scalar values can be rendered");
+
+    let data = grid.values;
+    if (flipY) {
+        data = new Float64Array(width*height);
+        for (let y = 0; y < height; y++) {
+            data.set(grid.values.subarray(y*width, (y + 1)*width), (height - 1 - y)*width);
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Computes the range used for normalizing a raster, ignoring NaN values.
+ * @param {object} raster The raster created by renderField
+ * @param {float} [min] The value mapped to 0, defaults to the smallest value in the raster
+ * @param {float} [max] The value mapped to 1, defaults to the largest value in the raster
+ * @returns {Array} The range [min, max]
+ */
+function _range(raster, min, max) {
+    if (min !== undefined && max !== undefined) return [min, max];
+    let dataMin = Infinity, dataMax = -Infinity;
+    raster.data.forEach(v => {
+        if (v < dataMin) dataMin = v;
+        if (v > dataMax) dataMax = v;
+    });
+    return [min !== undefined ? min : dataMin, max !== undefined ? max : dataMax];
+}
+
+/**
+ * Normalizes the values of a raster to [0, 1]. Values outside [min, max] are clamped, and NaN is mapped to 0.
+ * @param {object} raster The raster created by renderField
+ * @param {float} [min] The value mapped to 0, defaults to the smallest value in the raster
+ * @param {float} [max] The value mapped to 1, defaults to the largest value in the raster
+ * @returns {Float64Array} The normalized values
+ */
+function normalizeRaster(raster, min, max) {
+    [min, max] = _range(raster, min, max);
+    const scale = max > min ? 1/(max - min) : 0;
+    return raster.data.map(v => {
+        const t = (v - min)*scale;
+        return t > 0 ? Math.min(t, 1) : 0;
+    });
+}
+
+/**
+ * Quantizes normalized values to integers between 0 and 2^bitDepth - 1.
+ * @param {Float64Array} normalized The normalized values
+ * @param {int} bitDepth Either 8 or 16
+ * @returns {Uint8Array|Uint16Array} The quantized values
+ */
+function _quantize(normalized, bitDepth) {
+    if (bitDepth !== 8 && bitDepth !== 16) throw new ValidationError("bitDepth must be either 8 or 16");
+    const maxLevel = bitDepth === 8 ? 255 : 65535;
+    const levels = bitDepth === 8 ? new Uint8Array(normalized.length) : new Uint16Array(normalized.length);
+    normalized.forEach((t, i) => levels[i] = Math.round(t*maxLevel));
+    return levels;
+}
+
+/**
+ * Maps a normalized value to a color.
+ * @param {Array[]|function} colormap Either a list of evenly spaced RGB colors, or a function that maps t in [0, 1] to an RGB color
+ * @param {float} t The normalized value
+ * @returns {Array} The color [r, g, b], with each component between 0 and 255
+ */
+function applyColormap(colormap, t) {
+    if (typeof colormap === "function") return colormap(t);
+    const position = t*(colormap.length - 1);
+    const i = Math.min(Math.floor(position), colormap.length - 2);
+    const s = position - i;
+    return colormap[i].map((c, j) => c + s*(colormap[i + 1][j] - c));
+}
+
+/**
+ * Resolves a colormap given by name, list of colors or function.
+ * @param {string|Array[]|function} colormap The colormap
+ * @returns {Array[]|function} The colormap as a list of colors or a function
+ */
+function _resolveColormap(colormap) {
+    if (typeof colormap === "string") {
+        if (colormaps[colormap] === undefined) throw new ValidationError(`Unknown colormap ${colormap}, must be one of ${Object.keys(colormaps).join(", ")}`);
+        return colormaps[colormap];
+    }
+    if (typeof colormap === "function") return colormap;
+    if (!Array.isArray(colormap) || colormap.length < 2 || !colormap.every(c => Array.isArray(c) && c.length === 3)) {
+        throw new ValidationError("colormap must be a name, a function or an array of at least two [r, g, b] colors");
+    }
+    return colormap;
+}
+
+/**
+ * Encodes a raster as a binary grayscale PGM (portable graymap) image.
+ * @param {object} raster The raster created by renderField
+ * @param {object} [options] The encoding options
+ * @param {int} [options.bitDepth] Either 8 or 16, defaults to 8
+ * @param {float} [options.min] The value mapped to black, defaults to the smallest value in the raster
+ * @param {float} [options.max] The value mapped to white, defaults to the largest value in the raster
+ * @returns {Buffer} The PGM file
+ */
+function encodePGM(raster, options = {}) {
+    const { bitDepth = 8, min, max } = options;
+    const levels = _quantize(normalizeRaster(raster, min, max), bitDepth);
+    const header = Buffer.from(`P5\n${raster.width} ${raster.height}\n${bitDepth === 8 ? 255 : 65535}\n`, "ascii");
+    const body = Buffer.alloc(levels.length*levels.BYTES_PER_ELEMENT);
+    // 16-bit PGM is big-endian
+    levels.forEach((v, i) => bitDepth === 8 ? body[i] = v : body.writeUInt16BE(v, 2*i));
+    return Buffer.concat([header, body]);
+}
+
+/**
+ * Encodes a raster as a PNG image, either grayscale (8 or 16 bits) or RGB (8 bits) if a colormap is specified.
+ * @param {object} raster The raster created by renderField
+ * @param {object} [options] The encoding options
+ * @param {int} [options.bitDepth] Either 8 or 16, defaults to 8. Must be 8 when a colormap is used
+ * @param {string|Array[]|function} [options.colormap] The name of a predefined colormap, a list of evenly spaced [r, g, b] colors,
+ * or a function that maps t in [0, 1] to [r, g, b]. Defaults to grayscale without a colormap
+ * @param {float} [options.min] The value mapped to the start of the colormap, defaults to the smallest value in the raster
+ * @param {float} [options.max] The value mapped to the end of the colormap, defaults to the largest value in the raster
+ * @returns {Buffer} The PNG file
+ */
+function encodePNG(raster, options = {}) {
+    const { bitDepth = 8, colormap, min, max } = options;
+    const { width, height } = raster;
+    const normalized = normalizeRaster(raster, min, max);
+    if (colormap !== undefined && bitDepth !== 8) throw new ValidationError("bitDepth must be 8 when a colormap is used");
+
+    const channels = colormap === undefined ? 1 : 3;
+    const bytesPerPixel = channels*bitDepth/8;
+    const rowLength = 1 + width*bytesPerPixel;
+    // Every row starts with the filter type, which is 0 (none)
+    const pixels = Buffer.alloc(height*rowLength);
+    if (colormap === undefined) {
+        const levels = _quantize(normalized, bitDepth);
+        levels.forEach((v, i) => {
+            const offset = Math.floor(i/width)*rowLength + 1 + (i % width)*bytesPerPixel;
+            bitDepth === 8 ? pixels[offset] = v : pixels.writeUInt16BE(v, offset);
+        });
+    } else {
+        const map = _resolveColormap(colormap);
+        normalized.forEach((t, i) => {
+            const offset = Math.floor(i/width)*rowLength + 1 + (i % width)*bytesPerPixel;
+            applyColormap(map, t).forEach((c, j) => pixels[offset + j] = Math.max(0, Math.min(255, Math.round(c))));
+        });
+    }
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = bitDepth;
+    ihdr[9] = channels === 1 ? 0 : 2; // Color type: grayscale or RGB
+    // Compression, filter and interlace methods are all 0
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        _pngChunk("IHDR", ihdr),
+        _pngChunk("IDAT", zlib.deflateSync(pixels)),
+        _pngChunk("IEND", Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Creates a PNG chunk, consisting of length, type, data and CRC.
+ * @param {string} type The chunk type
+ * @param {Buffer} data The chunk data
+ * @returns {Buffer} The chunk
+ */
+function _pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, "ascii");
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(_crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+let crcTable;
+
+/**
+ * Computes the CRC-32 checksum used by PNG.
+ * @param {Buffer} bytes The bytes
+ * @returns {int} The checksum
+ */
+function _crc32(bytes) {
+    if (crcTable === undefined) {
+        crcTable = new Uint32Array(256).map((_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            return c;
+        });
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encodes a raster as raw little-endian 32-bit floats, row by row, without any header or normalization.
+ * @param {object} raster The raster created by renderField
+ * @returns {Buffer} The raw heightmap
+ */
+function encodeFloat32(raster) {
+    const body = Buffer.alloc(4*raster.data.length);
+    raster.data.forEach((v, i) => body.writeFloatLE(v, 4*i));
+    return body;
+}
+
+/**
+ * Renders a field and writes it to a PGM file, see renderField and encodePGM.
+ * @param {object} field The field to render
+ * @param {string} path The path of the file
+ * @param {object} options The options of renderField and encodePGM
+ * @returns {object} The raster
+ */
+function writePGM(field, path, options) {
+    const raster = renderField(field, options);
+    fs.writeFileSync(path, encodePGM(raster, options));
+    return raster;
+}
+
+/**
+ * Renders a field and writes it to a PNG file, see renderField and encodePNG.
+ * @param {object} field The field to render
+ * @param {string} path The path of the file
+ * @param {object} options The options of renderField and encodePNG
+ * @returns {object} The raster
+ */
+function writePNG(field, path, options) {
+    const raster = renderField(field, options);
+    fs.writeFileSync(path, encodePNG(raster, options));
+    return raster;
+}
+
+/**
+ * Renders a field and writes it to a raw float32 file, see renderField and encodeFloat32.
+ * @param {object} field The field to render
+ * @param {string} path The path of the file
+ * @param {object} options The options of renderField
+ * @returns {object} The raster
+ */
+function writeFloat32(field, path, options) {
+    const raster = renderField(field, options);
+    fs.writeFileSync(path, encodeFloat32(raster));
+    return raster;
+}
+
+module.exports = {
+    colormaps,
+    renderField,
+    normalizeRaster,
+    applyColormap,
+    encodePGM,
+    encodePNG,
+    encodeFloat32,
+    writePGM,
+    writePNG,
+    writeFloat32
+};
@@ -0,0 +1,177 @@
+const generateNoiseIDW = require("./generate-noise-idw.js");
+const { ValidationError } = require("./errors");
+const { NoiseIDW } = generateNoiseIDW;
+
+/**
+ * Fractal noise function module
+ * @module
+ */
+
+/**
+ * FractalNoiseIDW constructor. Creates a fractal noise function by adding together several noise functions (octaves),
+ * where each octave has lacunarity^dimensions times as many positions as the previous, and persistence times the amplitude.
+ * The values of each octave are between 0 and 1, and the sum is rescaled to lie between minValue and maxValue.
+ * @param {object} options The options used when generating the noise function
+ * @param {int} options.n The number of random positions in the first octave
+ * @param {int} options.dimensions The dimensionality of the noise function
+ * @param {int} [options.octaves] The number of octaves, defaults to 4
+ * @param {float} [options.lacunarity] The factor by which the frequency increases from one octave to the next, defaults to 2
+ * @param {float} [options.persistence] The factor by which the amplitude decreases from one octave to the next, defaults to 0.5
+ * @param {float} [options.minValue] The lower bound for the values, defaults to 0
+ * @param {float} [options.maxValue] The upper bound for the values, defaults to 1
+ * @param {Array|Array[]} [options.extent] Specifies the extent from which the positions are sampled, defaults to "volume" bounded between -1 and 1 along each axis
+ * @param {boolean|Array} [options.periodic] Specifies whether the noise function should be periodic/tileable, either a single boolean or an array of booleans with one value per dimension
+ * @param {int} [options.neighbors] If specified, each octave only uses its k nearest positions, which speeds up the evaluation of octaves with many positions
+ * @param {function|int} [rng] Specifies the RNG used for deriving the seed of each octave, either an RNG function or an integer seed value, defaults to Math.random
+ *
+ * @constructor
+ */
+function FractalNoiseIDW(options, rng) {
+    if (options === null || typeof options !== "object") throw new ValidationError("options must be an object");
+    const {
+        n,
+        dimensions,
+        octaves = 4,
+        lacunarity = 2,
+        persistence = 0.5,
+        minValue = 0,
+        maxValue = 1,
+        extent,
+        periodic,
+        neighbors
+    } = options;
+    if (!(Number.isInteger(octaves) && octaves >= 1)) throw new ValidationError("octaves must be a positive integer");
+    if (!(typeof lacunarity === "number" && lacunarity >= 1)) throw new ValidationError("lacunarity must be a number not less than 1");
+    if (!(typeof persistence === "number" && persistence > 0)) throw new ValidationError("persistence must be a positive number");
+    if (typeof minValue !== "number" || typeof maxValue !== "number") throw new ValidationError("minValue and maxValue must be numbers");
+    if (minValue > maxValue) throw new ValidationError("minValue cannot be greater than maxValue");
+
+    this.rng = typeof rng === "number" ? NoiseIDW._generateRNG(rng) :
+               typeof rng === "function" ? rng : Math.random;
+
+    this.dim = dimensions;
+    this.minValue = minValue;
+    this.maxValue = maxValue;
+    this.power = 2;
+
+    this.amplitudes = Array(octaves).fill().map((_, k) => Math.pow(persistence, k));
+    this.octaves = this.amplitudes.map((_, k) => {
+        // The number of positions per unit volume scales with frequency^dimensions
+        const octaveN = Math.round(n*Math.pow(lacunarity, dimensions*k));
+        // Each octave gets an independent seed, derived from the RNG stream
+        const seed = Math.floor(this.rng()*4294967296);
+        const idw = generateNoiseIDW({ n: octaveN, dimensions, extent, periodic }, seed);
+        if (neighbors !== undefined) idw.setNeighbors(neighbors);
+        return idw;
+    });
+
+    const amplitudeSum = this.amplitudes.reduce((sum, a) => sum + a, 0);
+    // The weight of each octave when adding them together, chosen so that the sum is between minValue and maxValue
+    this.weights = this.amplitudes.map(a => (maxValue - minValue)*a / amplitudeSum);
+}
+
+/**
+ * Sets the default power used when computing the weights in each octave.
+ * @param {float} power The default power
+ */
+FractalNoiseIDW.prototype.setPower = function(power) {
+    if (typeof power !== "number") throw new ValidationError("power must be a number");
+    this.power = power;
+}
+
+/**
+ * Computes the value of the noise function in a specified position.
+ * @param {float|Array} position The position of interest
+ * @param {float} [power] The power used when computing the weights, defaults to this.power
+ * @returns {float} The value
+ */
+FractalNoiseIDW.prototype.evaluate = function(position, power = this.power) {
+    return this.octaves.reduce((sum, idw, k) => sum + this.weights[k]*idw.evaluate(position, power), this.minValue);
+}
+
+/**
+ * Computes the gradient of the noise function in a specified position, as the weighted sum of the gradients of the octaves.
+ * @param {float|Array} position The position of interest
+ * @param {float} [power] The power used when computing the weights, defaults to this.power
+ * @returns {Array} The gradient, with one entry per dimension
+ */
+FractalNoiseIDW.prototype.gradient = function(position, power = this.power) {
+    const gradient = Array(this.dim).fill(0);
+    this.octaves.forEach((idw, k) => {
+        idw.gradient(position, power).forEach((v, j) => gradient[j] += this.weights[k]*v);
+    });
+    return gradient;
+}
+
+/**
+ * Computes the value of the noise function in multiple positions, see IDW.prototype.evaluateMany.
+ * @param {Array|Array[]} positions The positions of interest
+ * @param {float} [power] The power used when computing the weights, defaults to this.power
+ * @param {function} [arrayType] The typed array constructor used for the result, either Float64Array or Float32Array, defaults to Float64Array
+ * @returns {Float64Array|Float32Array} The values, in the same order as positions
+ */
+FractalNoiseIDW.prototype.evaluateMany = function(positions, power = this.power, arrayType = Float64Array) {
+    const octaveValues = this.octaves.map(idw => idw.evaluateMany(positions, power));
+    return this._combine(octaveValues, arrayType);
+}
+
+/**
+ * Computes the value of the noise function on a regular grid, see IDW.prototype.evaluateGrid.
+ * @param {object} options The options describing the grid, as in IDW.prototype.evaluateGrid
+ * @returns {object} Object containing values, shape, channels and extent
+ */
+FractalNoiseIDW.prototype.evaluateGrid = function(options) {
+    const { power = this.power, arrayType = Float64Array } = options;
+    const octaveOptions = Object.assign({}, options, { power, arrayType: Float64Array });
+    const grids = this.octaves.map(idw => idw.evaluateGrid(octaveOptions));
+    const values = this._combine(grids.map(grid => grid.values), arrayType);
+    return { values, shape: grids[0].shape, channels: 1, extent: grids[0].extent };
+}
+
+/**
+ * Adds together the values of each octave.
+ * @param {Float64Array[]} octaveValues The values of each octave
+ * @param {function} arrayType The typed array constructor used for the result
+ * @returns {Float64Array|Float32Array} The combined values
+ */
+FractalNoiseIDW.prototype._combine = function(octaveValues, arrayType) {
+    const values = new arrayType(octaveValues[0].length);
+    for (let i = 0; i < values.length; i++) {
+        // Same order of operations as in evaluate, which ensures identical results
+        let sum = this.minValue;
+        for (let k = 0; k < octaveValues.length; k++) sum += this.weights[k]*octaveValues[k][i];
+        values[i] = sum;
+    }
+    return values;
+}
+
+/**
+ * Returns the IDW objects used for each octave, from the lowest to the highest frequency.
+ * @returns {IDW[]} The octaves
+ */
+FractalNoiseIDW.prototype.getOctaves = function() {
+    return this.octaves;
+}
+
+/**
+ * Generates a fractal noise function, by adding together several noise functions with increasing frequency and decreasing amplitude.
+ * @param {object} options The options used when generating the noise function
+ * @param {int} options.n The number of random positions in the first octave
+ * @param {int} options.dimensions The dimensionality of the noise function
+ * @param {int} [options.octaves] The number of octaves, defaults to 4
+ * @param {float} [options.lacunarity] The factor by which the frequency increases from one octave to the next, defaults to 2
+ * @param {float} [options.persistence] The factor by which the amplitude decreases from one octave to the next, defaults to 0.5
+ * @param {float} [options.minValue] The lower bound for the values, defaults to 0
+ * @param {float} [options.maxValue] The upper bound for the values, defaults to 1
+ * @param {Array|Array[]} [options.extent] Specifies the extent from which the positions are sampled, defaults to "volume" bounded between -1 and 1 along each axis
+ * @param {boolean|Array} [options.periodic] Specifies whether the noise function should be periodic/tileable, either a single boolean or an array of booleans with one value per dimension, defaults to false
+ * @param {int} [options.neighbors] If specified, each octave only uses its k nearest positions
+ * @param {function|int} [rng] RNG used for deriving the seed of each octave, either an RNG function or an integer seed value, defaults to Math.random
+ * @returns {FractalNoiseIDW} The generated {@link FractalNoiseIDW}, which has the methods evaluate, evaluateMany, evaluateGrid and gradient
+ */
+function generateFractalNoiseIDW(options, rng = Math.random) {
+    return new FractalNoiseIDW(options, rng);
+}
+
+module.exports = generateFractalNoiseIDW;
+module.exports.FractalNoiseIDW = FractalNoiseIDW;
@@ -1,5 +1,6 @@
 const Poissimple = require("poissimple");
 const IDW = require("./idw.js");
+const { ValidationError, DimensionError } = require("./errors");
 
 /**
  * Noise function IDW module
@@ -13,42 +14,77 @@ const IDW = require("./idw.js");
  * @param {int} options.dimensions The dimensionality of the noise function
  * @param {float} [options.minValue] The lower bound for the generated values, defaults to 0
  * @param {float} [options.maxValue] The upper bound for the generated values, defaults to 1
- * @param {function} [options.valueFunction] Function used for generating values, with the associated position passed as a parameter, defaults to the parameter 'rng'
+ * @param {function} [options.valueFunction] Function used for generating values, with the associated position passed as a parameter, defaults to the parameter 'rng'. 
+ * Returning arrays or objects gives multi-channel noise
  * @param {Array|Array[]} [options.extent] Specifies the extent from which the positions are sampled, defaults to "volume" bounded between -1 and 1 along each axis
  * @param {boolean|Array} [options.periodic] Specifies whether the noise function should be periodic/tileable, either a single boolean or an array of booleans with one value per dimension
+ * @param {boolean|object} [options.loop] If specified, a periodic time axis is appended as the last dimension, which makes it possible to animate the noise seamlessly.
+ * Frame f out of N should be sampled at time f/N*period, which ensures that frame N is identical to frame 0
+ * @param {float} [options.loop.period] The period of the time axis, defaults to 1
+ * @param {object} [options.warp] If specified, the noise function is domain warped by another noise function, see IDW.prototype.setDomainWarp
+ * @param {int} [options.warp.n] The number of random positions in the warp noise function, defaults to options.n
+ * @param {float} [options.warp.strength] The maximum displacement along each axis, defaults to 0.5
+ * @param {float} [options.warp.power] The power used when evaluating the warp noise function, defaults to 2
  * @param {function|int} [rng] Specifies the RNG used for generating the random values (if valueFunction is not specified) and positions, either an RNG function or an integer seed value, defaults to Math.random
  * 
  * @constructor
  */
 function NoiseIDW(options, rng) {
+    if (options === null || typeof options !== "object") throw new ValidationError("options must be an object");
     this.n = options.n;
-    if (this.n < 2) throw new Error("n cannot be less than 2.");
+    if (!(Number.isInteger(this.n) && this.n >= 2)) throw new ValidationError("n must be an integer not less than 2");
+    if (!(Number.isInteger(options.dimensions) && options.dimensions >= 1)) throw new ValidationError("dimensions must be a positive integer");
+    if (rng !== undefined && typeof rng !== "number" && typeof rng !== "function") {
+        throw new ValidationError("rng must be either an RNG function or an integer seed value");
+    }
 
     this.rng = typeof rng === "number" ? NoiseIDW._generateRNG(rng) :
                typeof rng === "function" ? rng : Math.random;
 
-    this.dim = options.dimensions;
-    this.minValue = options.minValue || 0;
-    this.maxValue = options.maxValue || 1;
+    this.spatialDim = options.dimensions;
+    this.minValue = options.minValue !== undefined ? options.minValue : 0;
+    this.maxValue = options.maxValue !== undefined ? options.maxValue : 1;
+    if (typeof this.minValue !== "number" || typeof this.maxValue !== "number") throw new ValidationError("minValue and maxValue must be numbers");
+    if (this.minValue > this.maxValue) throw new ValidationError("minValue cannot be greater than maxValue");
+    if (options.valueFunction !== undefined && typeof options.valueFunction !== "function") throw new ValidationError("valueFunction must be a function");
     this.hasSpecifiedValueFunction = options.valueFunction !== undefined;
     this.valueFunction = options.valueFunction || (() => this.rng());
 
     // If one-dimensonal and extent is specified, wrap in outer array
-    if (this.dim === 1 && options.extent) {
+    if (this.spatialDim === 1 && options.extent !== undefined) {
         this.extent = [options.extent];
     } else {
-        this.extent = options.extent || Array(this.dim).fill().map(() => [-1, 1]);
+        this.extent = options.extent !== undefined ? options.extent : Array(this.spatialDim).fill().map(() => [-1, 1]);
+    }
+    if (!Array.isArray(this.extent) || this.extent.length !== this.spatialDim) {
+        throw new DimensionError(`extent must contain one [lower, upper] entry per dimension (${this.spatialDim})`);
     }
+    this.extent.forEach((bounds, i) => {
+        if (!Array.isArray(bounds) || bounds.length !== 2 || !bounds.every(Number.isFinite) || !(bounds[0] < bounds[1])) {
+            throw new ValidationError(`The extent of axis ${i} must be an array [lower, upper] of finite numbers, with lower < upper`);
+        }
+    });
 
-    const periodic = options.periodic || false;
+    const periodic = options.periodic !== undefined ? options.periodic : false;
     // this.periodic should be on format [boolean, boolean,...] with one entry per dimension
     if (typeof periodic === "boolean") {
-        this.periodic = Array(this.dim).fill().map(() => periodic);
+        this.periodic = Array(this.spatialDim).fill().map(() => periodic);
     } else if (Array.isArray(periodic)) {
+        if (periodic.length !== this.spatialDim) throw new DimensionError(`periodic must contain one boolean per dimension (${this.spatialDim})`);
         this.periodic = periodic;
     } else {
-        throw new Error("periodic must either be a boolean or an array");
+        throw new ValidationError("periodic must either be a boolean or an array");
+    }
+
+    // In loop mode, time is an additional periodic axis, so that the last frame wraps around to the first
+    this.loop = options.loop || false;
+    if (this.loop) {
+        const period = this.loop.period !== undefined ? this.loop.period : 1;
+        if (!(typeof period === "number" && period > 0)) throw new ValidationError("loop.period must be a positive number");
+        this.extent = this.extent.concat([[0, period]]);
+        this.periodic = this.periodic.concat([true]);
     }
+    this.dim = this.extent.length;
 
     this.periodicExtent = {};
     this.periodic.forEach((v, i) => {
@@ -59,6 +95,7 @@ function NoiseIDW(options, rng) {
     this._generatePositions();
     this._generateValues();
     this._setupIDW();
+    if (options.warp) this._setupDomainWarp(options);
 }
 
 /**
@@ -101,6 +138,31 @@ NoiseIDW.prototype._setupIDW = function() {
     this.idw = new IDW(data, options);
 }
 
+/**
+ * Generates a noise function with one channel per dimension, and uses it for domain warping the IDW object.
+ * The warp noise function has the same extent, periodicity and time axis as this, but its displacement along the time axis is 0, 
+ * which keeps loops seamless. 
+ * @param {object} options The options used when generating this noise function, where options.warp contains n, strength and power
+ */
+NoiseIDW.prototype._setupDomainWarp = function(options) {
+    const { n = this.n, strength = 0.5, power = 2 } = options.warp;
+    // The warp noise function gets an independent RNG, seeded from the RNG stream
+    const warpRNG = NoiseIDW._generateRNG(Math.floor(this.rng()*4294967296));
+    const valueFunction = () => {
+        const displacement = Array(this.spatialDim).fill().map(() => warpRNG(-1, 1));
+        return this.loop ? displacement.concat([0]) : displacement;
+    }
+    this.warp = new NoiseIDW({
+        n,
+        dimensions: this.spatialDim,
+        extent: options.extent,
+        periodic: options.periodic,
+        loop: options.loop,
+        valueFunction
+    }, warpRNG);
+    this.idw.setDomainWarp(this.warp.idw, strength, power);
+}
+
 /**
  * Generates an RNG function
  * @param {int} seed The seed value/initial state of the RNG
@@ -127,9 +189,14 @@ NoiseIDW.prototype._setupIDW = function() {
  * @param {int} options.dimensions The dimensionality of the noise function
  * @param {float} [options.minValue] The lower bound for the generated values, defaults to 0
  * @param {float} [options.maxValue] The upper bound for the generated values, defaults to 1
- * @param {function} [options.valueFunction] Function used for generating values, with the associated position passed as a parameter, defaults to the parameter 'rng'
+ * @param {function} [options.valueFunction] Function used for generating values, with the associated position passed as a parameter, defaults to the parameter 'rng'. 
+ * Returning arrays or objects gives multi-channel noise
  * @param {Array|Array[]} [options.extent] Specifies the extent from which the positions are sampled, defaults to "volume" bounded between -1 and 1 along each axis
  * @param {boolean|Array} [options.periodic] Specifies whether the noise function should be periodic/tileable, either a single boolean or an array of booleans with one value per dimension, defaults to false
+ * @param {boolean|object} [options.loop] If specified, a periodic time axis with extent [0, options.loop.period] (period defaults to 1) is appended as the last dimension. 
+ * Frame f out of N should be sampled at time f/N*period, which makes frame N identical to frame 0
+ * @param {object} [options.warp] If specified, the noise function is domain warped by another noise function, with options n (defaults to options.n), 
+ * strength (the maximum displacement along each axis, defaults to 0.5) and power (defaults to 2)
  * @param {function|int} [rng] RNG used for generating the random values (if valueFunction is not specified) and positions 
  * @returns {IDW} The generated {@link IDW}.
  */
@@ -138,4 +205,5 @@ function generateNoiseIDW(options, rng = Math.random) {
     return noiseIDW.idw;
 }
 
-module.exports = generateNoiseIDW;
\ No newline at end of file
+module.exports = generateNoiseIDW;
+module.exports.NoiseIDW = NoiseIDW;
\ No newline at end of file
@@ -1,3 +1,6 @@
+const KDTree = require("./kd-tree");
+const { ValidationError, DimensionError, PeriodicExtentError, MissingValueError, SerializationError } = require("./errors");
+
 /**
  * Inverse distance weighting module
  * @module idw
@@ -7,56 +10,408 @@
  * IDW constructor. Unless custom functions are supplied in the options parameters, the distance between two positions will be computed using the Euclidean distance.
  * @param {object} data The data to be interpolated
  * @param {Array|Array[]} data.positions Contains the positions of the data, in the format [[x1, y1,...], [x2, y2,...],...]
- * @param {Array} data.values Contains the values at each position
+ * @param {Array} data.values Contains the values at each position, either numbers, arrays of equal length (e.g. RGB colours) or objects with the same keys
  * @param {object} [options] Options that determine the behaviour of the IDW interpolation 
  * @param {object} [options.periodicExtent] Specifies the extent of periodicity, if tileability is desired (see documentation), defaults to undefined
  * @param {function} [options.innerDistFunction] Function that is applied to each difference x2 - x1, y2 - y1,... when computing the distance between two points, defaults to d => d*d
  * @param {function} [options.outerDistFunction] Function that is applied to the sum of the differences when computing the distance between two points, should always return a non-negative value, defaults to Math.sqrt
+ * @param {function} [options.kernelFunction] Function that computes the weight from the distance and power, (distance, power) => weight, defaults to the Shepard kernel 1 / (distance^power + denominatorOffset)
  * @param {function} [options.weightFunction] The function that transforms the weight values before computing the weighted average, should expect inputs between 0 and 1 (unless strange distance functions are used)
  * @param {function} [options.denominatorOffset] Constant that is added to the denominator when computing weights, defaults to 0
+ * @param {int} [options.neighbors] If specified, only the k nearest positions are used when interpolating, defaults to undefined (all positions)
+ * @param {float} [options.searchRadius] If specified, only positions within this distance are used when interpolating, defaults to undefined (no limit)
+ * @param {float} [options.power] The default power used when computing the weights, defaults to 2
+ * @param {string} [options.missingValues] How positions containing NaN and values that are NaN, null or undefined are handled: "error" throws a MissingValueError, 
+ * "drop" removes them, and "impute" replaces missing values with the value interpolated from the complete data (positions containing NaN are removed). Defaults to "error"
  * @constructor
  */
 function IDW(data, options) {
     options = options || {};
+    if (data === null || typeof data !== "object") throw new ValidationError("data must be an object containing positions and values");
     const { positions, values } = data;
-    if (positions.length !== values.length) throw new Error("positions and values must have the same length");
+    if (!Array.isArray(positions)) throw new ValidationError("positions must be an array");
+    if (!Array.isArray(values)) throw new ValidationError("values must be an array");
+    if (positions.length !== values.length) {
+        throw new ValidationError(`positions and values must have the same length, but there are ${positions.length} positions and ${values.length} values`);
+    }
+    if (positions.length === 0) throw new ValidationError("positions must contain at least one position");
+    if (options === null || typeof options !== "object") throw new ValidationError("options must be an object");
+    ["innerDistFunction", "outerDistFunction", "kernelFunction", "weightFunction"].forEach(name => {
+        if (options[name] !== undefined && typeof options[name] !== "function") throw new ValidationError(`${name} must be a function`);
+    });
 
-    this.dim = typeof positions[0] === "number" ? 1 : positions[0].length;
-    this.positions =  this.dim === 1 ? positions.map(v => [v]) : positions;
-    this.values = values;
-    this.n = values.length;
+    const isNumeric = typeof positions[0] === "number";
+    if (!isNumeric && !Array.isArray(positions[0])) throw new ValidationError("Position at index 0 is neither a number nor an array of numbers");
+    this.dim = isNumeric ? 1 : positions[0].length;
+    // One-dimensional positions can be given either as numbers or as arrays of length 1.
+    // The arrays are copied, since addPoint and updateValue modify them in place
+    this.positions = isNumeric ? positions.map(v => [v]) : positions.slice();
+    this.values = values.slice();
+    this._validatePositions(this.positions);
     
     this.extent = options.periodicExtent;
     this.isPeriodic = options.periodicExtent !== undefined;
 
     this.innerDistFunction = options.innerDistFunction || (d => d*d);
     this.outerDistFunction = options.outerDistFunction || (arr => Math.sqrt(IDW.sum(arr)));
+    // Keeps track of which predefined distance function is used, if any
+    this.distanceMetric = options.innerDistFunction || options.outerDistFunction ? { name: "custom" } : { name: "euclidean" };
     this.weightFunction = options.weightFunction || (w => w);
-    this.denominatorOffset = options.denominatorOffset || 0;
+    // Keeps track of which predefined kernel is used, where kernelFunction is only used by custom kernels
+    this.kernel = options.kernelFunction ? { name: "custom" } : { name: "shepard" };
 
     Object.assign(this, options);
     this.hasCustomWeightFunction = options.weightFunction ? true : false;
+    // Defaults are applied after Object.assign, so that options explicitly set to undefined are replaced by them
+    this.denominatorOffset = options.denominatorOffset !== undefined ? options.denominatorOffset : 0;
+    this.power = options.power !== undefined ? options.power : 2;
+    this.missingValues = options.missingValues !== undefined ? options.missingValues : "error";
+    if (typeof this.power !== "number") throw new ValidationError("power must be a number");
+    if (typeof this.denominatorOffset !== "number") throw new ValidationError("denominatorOffset must be a number");
+    if (!["error", "drop", "impute"].includes(this.missingValues)) throw new ValidationError("missingValues must be \"error\", \"drop\" or \"impute\"");
 
+    if (this.isPeriodic) this._validatePeriodicExtent();
+    this._handleMissingValues(options);
     if (this.isPeriodic) this._validatePeriodicPositions();
     this.setPeriodicSmoothing(0.1);
 
+    this.neighbors = undefined;
+    this.searchRadius = undefined;
+    this.domainWarp = undefined;
+    this._updateData();
+    if (options.neighbors !== undefined) this.setNeighbors(options.neighbors);
+    if (options.searchRadius !== undefined) this.setSearchRadius(options.searchRadius);
+}
+
+/**
+ * Updates everything that is derived from the positions and values. Must be called whenever they change,
+ * except for the changes made by addPoint and updateValue, which update the derived data incrementally.
+ */
+IDW.prototype._updateData = function() {
+    this.n = this.values.length;
+    this._parseValues();
+
+    // The positions are mapped once, so that the spatial index and the distance computations see the same coordinates
+    this._mappedPositions = this.isPeriodic ? this.positions.map(p => this._mapPeriodically(p)) : this.positions;
+    // Buffers reused across evaluations, to avoid allocating arrays of length n for every position
+    this._allIndices = this.positions.map((_, i) => i);
+    this._distanceBuffer = new Float64Array(this.n);
+    this._weightBuffer = new Float64Array(this.n);
+
+    // The spatial index is outdated, and is rebuilt if needed
+    this.index = undefined;
+    if (this.neighbors !== undefined || this.searchRadius !== undefined) this._buildIndex();
+}
+
+/**
+ * Updates the derived data after a position has been appended to this.positions and this.values, without recomputing it for the other positions.
+ * The buffers grow geometrically, so that adding many positions one by one takes amortized constant time per position (plus the k-d tree insertion).
+ */
+IDW.prototype._appendData = function() {
+    const i = this.n;
+    const m = this.channels;
+    this.n++;
+    if (this._valueStorage.length < this.n*m) {
+        const capacity = 2*this.n;
+        const valueStorage = new Float64Array(capacity*m);
+        valueStorage.set(this._valueBuffer);
+        this._valueStorage = valueStorage;
+        this._distanceBuffer = new Float64Array(capacity);
+        this._weightBuffer = new Float64Array(capacity);
+    }
+    // _valueBuffer always has the length n*channels, since it's serialized and used in whole-buffer operations
+    this._valueBuffer = this._valueStorage.subarray(0, this.n*m);
+    this._storeValue(this.values[i], i);
+
+    // Without periodicity, _mappedPositions is this.positions, which already contains the new position
+    if (this.isPeriodic) this._mappedPositions.push(this._mapPeriodically(this.positions[i]));
+    this._allIndices.push(i);
+    if (this.index !== undefined) this.index.insert(i);
+}
+
+/**
+ * Adds a new position and its value to the data. If the position or value is missing, it's handled according to this.missingValues,
+ * where "drop" means that nothing is added.
+ * @param {float|Array} position The position, of the same dimension as the existing positions
+ * @param {float|Array|object} value The value, of the same type as the existing values
+ */
+IDW.prototype.addPoint = function(position, value) {
+    if (typeof position === "number") position = [position];
+    this._validatePositions([position], this.n);
+    if (this._isMissing(position, value)) {
+        value = this._resolveMissingValue(position, value, this.n);
+        if (value === undefined) return;
+    }
+    this._checkValue(value, this.n);
+    if (this.isPeriodic) this._validatePeriodicPositions([position], this.n);
+    if (this.distanceMetric.name === "haversine") this._validateGeographicPositions([position], this.n);
+
+    this.positions.push(position);
+    this.values.push(value);
+    this._appendData();
+}
+
+/**
+ * Removes the position and value at the specified index from the data. At least one position must remain.
+ * @param {int} index The index of the position to remove
+ */
+IDW.prototype.removePoint = function(index) {
+    this._checkIndex(index);
+    if (this.n === 1) throw new ValidationError("Cannot remove the last position");
+    this.positions = this.positions.filter((_, i) => i !== index);
+    this.values = this.values.filter((_, i) => i !== index);
+    this._updateData();
+}
+
+/**
+ * Replaces the value at the specified index. If the value is missing, it's handled according to this.missingValues,
+ * where "drop" means that the position is removed.
+ * @param {int} index The index of the value to replace
+ * @param {float|Array|object} value The new value, of the same type as the existing values
+ */
+IDW.prototype.updateValue = function(index, value) {
+    this._checkIndex(index);
+    if (this._isMissing(this.positions[index], value)) {
+        value = this._resolveMissingValue(this.positions[index], value, index);
+        if (value === undefined) {
+            this.removePoint(index);
+            return;
+        }
+    }
+    this._checkValue(value, index);
+    // Only the value changes, so the positions, buffers and spatial index are kept
+    this.values[index] = value;
+    this._storeValue(value, index);
+}
+
+/**
+ * Ensures that an index refers to an existing position.
+ * @param {int} index The index to check
+ */
+IDW.prototype._checkIndex = function(index) {
+    if (!(Number.isInteger(index) && index >= 0 && index < this.n)) throw new ValidationError(`index must be an integer between 0 and ${this.n - 1}`);
+}
+
+/**
+ * Determines whether the values are scalars, arrays or objects, and stores them in a flat buffer with one entry per channel.
+ * Every value must have the same type as the first, and arrays/objects must have the same length/keys.
+ */
+IDW.prototype._parseValues = function() {
+    const first = this.values[0];
+    if (typeof first === "number") {
+        this.valueType = "scalar";
+        this.valueKeys = undefined;
+    } else if (Array.isArray(first)) {
+        this.valueType = "array";
+        this.valueKeys = undefined;
+    } else if (typeof first === "object" && first !== null) {
+        this.valueType = "object";
+        this.valueKeys = Object.keys(first);
+    } else {
+        throw new ValidationError("values must contain numbers, arrays or objects");
+    }
+    this.channels = this.valueType === "scalar" ? 1 :
+                    this.valueType === "array" ? first.length : this.valueKeys.length;
+    if (this.channels === 0) throw new ValidationError("Array and object values must contain at least one entry");
+
+    this._valueStorage = new Float64Array(this.n*this.channels);
+    this._valueBuffer = this._valueStorage;
+    this._resultBuffer = new Float64Array(this.channels);
+    this.values.forEach((v, i) => {
+        this._checkValue(v, i);
+        this._storeValue(v, i);
+    });
+}
+
+/**
+ * Stores the channels of a value in _valueBuffer.
+ * @param {float|Array|object} v The value, which must have been checked by _checkValue
+ * @param {int} i The index of the value
+ */
+IDW.prototype._storeValue = function(v, i) {
+    const m = this.channels;
+    if (this.valueType === "scalar") {
+        this._valueBuffer[i] = v;
+    } else if (this.valueType === "array") {
+        v.forEach((channel, c) => this._valueBuffer[i*m + c] = channel);
+    } else {
+        this.valueKeys.forEach((key, c) => this._valueBuffer[i*m + c] = v[key]);
+    }
+}
+
+/**
+ * Ensures that a value has the same type as the first value, and the same length/keys for arrays/objects.
+ * @param {float|Array|object} v The value to check
+ * @param {int} i The index of the value, used in the error message
+ */
+IDW.prototype._checkValue = function(v, i) {
+    if (this.valueType === "scalar") {
+        if (typeof v !== "number") throw new ValidationError(`Value at index ${i} is not a number, like the first value`);
+    } else if (this.valueType === "array") {
+        if (!Array.isArray(v) || v.length !== this.channels) throw new ValidationError(`Value at index ${i} is not an array of length ${this.channels}, like the first value`);
+        v.forEach((channel, c) => {
+            if (typeof channel !== "number") throw new ValidationError(`Entry ${c} of the value at index ${i} is not a number`);
+        });
+    } else {
+        if (typeof v !== "object" || v === null || Array.isArray(v)) throw new ValidationError(`Value at index ${i} is not an object, like the first value`);
+        this.valueKeys.forEach(key => {
+            if (!(key in v)) throw new ValidationError(`Value at index ${i} is missing the key "${key}"`);
+            if (typeof v[key] !== "number") throw new ValidationError(`The entry "${key}" of the value at index ${i} is not a number`);
+        });
+    }
+}
+
+/**
+ * Ensures that positions are arrays of numbers with dimension this.dim. NaN coordinates are allowed here, and handled by _handleMissingValues.
+ * @param {Array[]} positions The positions to validate
+ * @param {int} [firstIndex] The index of the first position, used in error messages, defaults to 0
+ */
+IDW.prototype._validatePositions = function(positions, firstIndex = 0) {
+    positions.forEach((p, i) => {
+        if (!Array.isArray(p)) throw new ValidationError(`Position at index ${firstIndex + i} is not an array of numbers`);
+        if (p.length !== this.dim) {
+            throw new DimensionError(`Position at index ${firstIndex + i} has dimension ${p.length}, but the first position has dimension ${this.dim}`);
+        }
+        p.forEach((coordinate, j) => {
+            if (typeof coordinate !== "number") throw new ValidationError(`Coordinate ${j} of the position at index ${firstIndex + i} is not a number`);
+        });
+    });
+}
+
+/**
+ * Checks whether a position contains NaN, or a value is NaN, null or undefined (or contains such entries, for arrays and objects).
+ * @param {Array} position The position
+ * @param {float|Array|object} value The value
+ * @returns {boolean} True if the position or value is missing
+ */
+IDW.prototype._isMissing = function(position, value) {
+    if (position.some(Number.isNaN)) return true;
+    if (value === null || typeof value !== "object") return IDW._isMissingNumber(value);
+    return Object.keys(value).some(key => IDW._isMissingNumber(value[key]));
+}
+
+/**
+ * Checks whether a single number is missing.
+ * @param {float} value The number
+ * @returns {boolean} True if the number is NaN, null or undefined
+ */
+IDW._isMissingNumber = function(value) {
+    return value === null || value === undefined || Number.isNaN(value);
+}
+
+/**
+ * Handles positions and values that are missing, according to this.missingValues.
+ * @param {object} options The options passed to the constructor, which are also used by the IDW that imputes missing values
+ */
+IDW.prototype._handleMissingValues = function(options) {
+    const isMissing = this.positions.map((p, i) => this._isMissing(p, this.values[i]));
+    const firstMissing = isMissing.indexOf(true);
+    if (firstMissing === -1) return;
+    if (this.missingValues === "error") this._resolveMissingValue(this.positions[firstMissing], this.values[firstMissing], firstMissing);
+
+    const positions = this.positions.filter((_, i) => !isMissing[i]);
+    const values = this.values.filter((_, i) => !isMissing[i]);
+    if (positions.length === 0) throw new MissingValueError("Every position or value is missing");
+    if (this.missingValues === "drop") {
+        this.positions = positions;
+        this.values = values;
+        return;
+    }
+    // The missing values are interpolated from the complete data, using the same options, while positions containing NaN are removed
+    const complete = new IDW({ positions, values }, Object.assign({}, options, { missingValues: "error" }));
+    const keep = this.positions.map(p => !p.some(Number.isNaN));
+    this.values = this.values.map((v, i) => isMissing[i] && keep[i] ? IDW._fillMissing(v, complete.evaluate(this.positions[i])) : v)
+        .filter((_, i) => keep[i]);
+    this.positions = this.positions.filter((_, i) => keep[i]);
+}
+
+/**
+ * Resolves a single missing position or value according to this.missingValues, used when adding or updating data.
+ * @param {Array} position The position
+ * @param {float|Array|object} value The value
+ * @param {int} index The index of the position, used in the error message
+ * @returns {float|Array|object} The imputed value, or undefined if the position should be dropped
+ */
+IDW.prototype._resolveMissingValue = function(position, value, index) {
+    const hasMissingPosition = position.some(Number.isNaN);
+    if (this.missingValues === "error") {
+        const problem = hasMissingPosition ? "position at index " + index + " contains NaN" : "value at index " + index + " is missing (NaN, null or undefined)";
+        throw new MissingValueError(`The ${problem}, ` + 
+            "use the option missingValues: \"drop\" or \"impute\" to handle missing data");
+    }
+    if (this.missingValues === "drop" || hasMissingPosition) return undefined;
+    return IDW._fillMissing(value, this.evaluate(position));
+}
+
+/**
+ * Replaces the missing parts of a value with an estimate. Arrays and objects keep the entries that are not missing.
+ * @param {float|Array|object} value The value
+ * @param {float|Array|object} estimate The estimated value
+ * @returns {float|Array|object} The value, with missing entries replaced
+ */
+IDW._fillMissing = function(value, estimate) {
+    if (value === null || typeof value !== "object" || typeof estimate !== "object") return estimate;
+    if (Array.isArray(value)) return value.map((v, i) => IDW._isMissingNumber(v) ? estimate[i] : v);
+    const filled = Object.assign({}, value);
+    Object.keys(estimate).forEach(key => {
+        if (IDW._isMissingNumber(filled[key])) filled[key] = estimate[key];
+    });
+    return filled;
+}
+
+/**
+ * Converts the channels stored in a buffer to a value of the same type as the interpolated values.
+ * @param {Float64Array} buffer The buffer containing the channels
+ * @param {int} [offset] The index of the first channel in the buffer, defaults to 0
+ * @returns {float|Array|object} The value
+ */
+IDW.prototype._formatValue = function(buffer, offset = 0) {
+    if (this.valueType === "scalar") return buffer[offset];
+    if (this.valueType === "array") return Array.from(buffer.subarray(offset, offset + this.channels));
+    const value = {};
+    this.valueKeys.forEach((key, c) => value[key] = buffer[offset + c]);
+    return value;
 }
 
 /**
  * Ensures that the specified positions are inside the bounds given in the periodic extent.
+ * @param {Array[]} [positions] The positions to validate, defaults to this.positions
+ * @param {int} [firstIndex] The index of the first position, used in error messages, defaults to 0
  */
-IDW.prototype._validatePeriodicPositions = function() {
+IDW.prototype._validatePeriodicPositions = function(positions = this.positions, firstIndex = 0) {
     const ext = this.extent;
-    this.positions.forEach(p => {
+    positions.forEach((p, index) => {
         p.forEach((coordinate, i) => {
             if (ext[i] === undefined) return;
             if (!(coordinate >= ext[i][0] && coordinate <= ext[i][1])) {
-                throw new Error(`Position at index ${i} is outside the bounds specified in periodicExtent.`);
+                throw new PeriodicExtentError(`Position at index ${firstIndex + index} is outside the bounds specified in periodicExtent ` + 
+                    `(coordinate ${i} is ${coordinate}, which is not between ${ext[i][0]} and ${ext[i][1]}).`);
             }
         });
     });
 }
 
+/**
+ * Ensures that the periodic extent maps axes of the positions to bounds [lower, upper] with lower < upper.
+ */
+IDW.prototype._validatePeriodicExtent = function() {
+    const ext = this.extent;
+    if (ext === null || typeof ext !== "object") {
+        throw new PeriodicExtentError("periodicExtent must be an object (or array) mapping each periodic axis to its bounds [lower, upper]");
+    }
+    Object.keys(ext).forEach(key => {
+        const i = Number(key);
+        if (!(Number.isInteger(i) && i >= 0 && i < this.dim)) {
+            throw new PeriodicExtentError(`periodicExtent contains the axis ${key}, but the positions have dimension ${this.dim}`);
+        }
+        const bounds = ext[key];
+        if (bounds === undefined) return;
+        if (!Array.isArray(bounds) || bounds.length !== 2 || !bounds.every(b => typeof b === "number" && Number.isFinite(b)) || !(bounds[0] < bounds[1])) {
+            throw new PeriodicExtentError(`The periodic extent of axis ${i} must be an array [lower, upper] of finite numbers, with lower < upper`);
+        }
+    });
+}
+
 /**
  * Maps positions inside the extent in a periodic manner.
  * @param {Array} position The position to be mapped
@@ -108,10 +463,11 @@ IDW.prototype._mapPeriodically = function(position) {
  * @param {function} outerDistFunction The outer distance function
  */
 IDW.prototype.setDistanceFunctions = function(innerDistFunction, outerDistFunction) {
-    if (typeof innerDistFunction !== "function") throw new Error("innerDistFunction must be a function");
-    if (typeof outerDistFunction !== "function") throw new Error("outerDistFunction must be a function");
+    if (typeof innerDistFunction !== "function") throw new ValidationError("innerDistFunction must be a function");
+    if (typeof outerDistFunction !== "function") throw new ValidationError("outerDistFunction must be a function");
     this.innerDistFunction = innerDistFunction;
     this.outerDistFunction = outerDistFunction;
+    this.distanceMetric = { name: "custom" };
 }
 
 /**
@@ -120,6 +476,7 @@ IDW.prototype.setDistanceFunctions = function(innerDistFunction, outerDistFuncti
  */
 IDW.prototype.useEuclideanDistance = function() {
     this.setDistanceFunctions(d => d * d, arr => Math.sqrt(IDW.sum(arr)));
+    this.distanceMetric = { name: "euclidean" };
 }
 
 /**
@@ -128,6 +485,7 @@ IDW.prototype.useEuclideanDistance = function() {
  */
 IDW.prototype.useTaxicabDistance = function() {
     this.setDistanceFunctions(Math.abs, IDW.sum);
+    this.distanceMetric = { name: "taxicab" };
 }
 
 /**
@@ -136,6 +494,7 @@ IDW.prototype.useTaxicabDistance = function() {
  */
 IDW.prototype.useChessboardDistance = function() {
     this.setDistanceFunctions(Math.abs, arr => Math.max(...arr));
+    this.distanceMetric = { name: "chessboard" };
 }
 
 /**
@@ -145,6 +504,7 @@ IDW.prototype.useChessboardDistance = function() {
  */
 IDW.prototype.useMinkowskiDistance = function(power = 2) {
     this.setDistanceFunctions(d => Math.pow(Math.abs(d), power), arr => Math.pow(IDW.sum(arr), 1 / power));
+    this.distanceMetric = { name: "minkowski", power };
 }
 
 /**
@@ -153,11 +513,212 @@ IDW.prototype.useMinkowskiDistance = function(power = 2) {
  * @param {function} weightFunction The weight function
  */
 IDW.prototype.setWeightFunction = function(weightFunction) {
-    if (typeof weightFunction !== "function") throw new Error("weightFunction must be a function");
+    if (typeof weightFunction !== "function") throw new ValidationError("weightFunction must be a function");
     this.weightFunction = weightFunction;
     this.hasCustomWeightFunction = true;
 }
 
+/**
+ * Use an anisotropic distance, where the scale differs between directions (https://en.wikipedia.org/wiki/Mahalanobis_distance):
+ * distance(p1, p2) = |T*(p2 - p1)|, where |.| is the Euclidean norm and T is a linear transformation.
+ * T is either given directly by matrix, or constructed from scales and rotation as T = diag(1 / scales)*R, 
+ * where the rows of R are the principal axes. In other words, a distance of scales[k] along principal axis k counts as 1.
+ * With a periodic extent, the periodic copy giving the shortest distance is used, and the periodic smoothing is not applied.
+ * @param {object} [options] The options describing the transformation
+ * @param {Array} [options.scales] The scale along each principal axis, defaults to 1 for every axis
+ * @param {float|Array[]} [options.rotation] In 2D, the counter-clockwise angle (in radians) from the x-axis to the first principal axis. 
+ * In general, an orthonormal matrix whose rows are the principal axes. Defaults to the coordinate axes
+ * @param {Array[]} [options.matrix] The transformation matrix T, which can't be combined with scales and rotation
+ */
+IDW.prototype.useAnisotropicDistance = function(options = {}) {
+    const { scales, rotation } = options;
+    let matrix = options.matrix;
+    const isSquareMatrix = m => Array.isArray(m) && m.length === this.dim && 
+        m.every(row => Array.isArray(row) && row.length === this.dim && row.every(Number.isFinite));
+
+    if (matrix !== undefined) {
+        if (scales !== undefined || rotation !== undefined) throw new ValidationError("matrix cannot be combined with scales or rotation");
+        if (!isSquareMatrix(matrix)) throw new DimensionError(`matrix must be a ${this.dim}×${this.dim} array of numbers`);
+    } else {
+        const s = scales !== undefined ? scales : Array(this.dim).fill(1);
+        if (!(Array.isArray(s) && s.length === this.dim && s.every(v => typeof v === "number" && v > 0))) {
+            throw new DimensionError(`scales must be an array of ${this.dim} positive numbers`);
+        }
+
+        let axes;
+        if (rotation === undefined) {
+            axes = Array(this.dim).fill().map((_, i) => Array(this.dim).fill().map((_, j) => i === j ? 1 : 0));
+        } else if (typeof rotation === "number") {
+            if (this.dim !== 2) throw new DimensionError("rotation can only be an angle in 2D, use a rotation matrix instead");
+            const [c, s] = [Math.cos(rotation), Math.sin(rotation)];
+            axes = [[c, s], [-s, c]];
+        } else {
+            if (!isSquareMatrix(rotation)) throw new DimensionError(`rotation must be an angle (2D) or a ${this.dim}×${this.dim} array of numbers`);
+            // The rows must be orthonormal
+            const isOrthonormal = rotation.every((r1, i) => rotation.every((r2, j) => 
+                Math.abs(IDW.sum(r1.map((v, k) => v*r2[k])) - (i === j ? 1 : 0)) < 1e-9));
+            if (!isOrthonormal) throw new ValidationError("The rows of rotation must be orthonormal");
+            axes = rotation;
+        }
+        matrix = axes.map((row, k) => row.map(v => v / s[k]));
+    }
+
+    const minStretch = IDW._minSingularValue(matrix);
+    if (!(minStretch > 0)) throw new ValidationError("The transformation matrix must be invertible");
+    this.distanceMetric = { name: "anisotropic", matrix: matrix.map(row => row.slice()) };
+    this._minStretch = minStretch;
+}
+
+/**
+ * Use the great-circle distance (https://en.wikipedia.org/wiki/Great-circle_distance) for geographic data, computed using the haversine formula.
+ * The positions must be two-dimensional, on the form [longitude, latitude] in degrees (the same order as GeoJSON), 
+ * with longitudes between -180 and 180 and latitudes between -90 and 90. The longitude wraps around at ±180°,
+ * so periodicExtent must not be specified.
+ * @param {object} [options] The options for the distance
+ * @param {float} [options.radius] The radius of the sphere, which determines the unit of the distance, defaults to 6371 (the mean radius of the Earth in kilometres)
+ */
+IDW.prototype.useHaversineDistance = function(options = {}) {
+    const { radius = 6371 } = options;
+    if (!(typeof radius === "number" && radius > 0)) throw new ValidationError("radius must be a positive number");
+    if (this.dim !== 2) throw new DimensionError("The haversine distance requires two-dimensional positions on the form [longitude, latitude]");
+    if (this.isPeriodic) throw new PeriodicExtentError("The haversine distance cannot be combined with periodicExtent, since the longitude already wraps around");
+    this._validateGeographicPositions(this.positions);
+    this.distanceMetric = { name: "haversine", radius };
+}
+
+/**
+ * Ensures that positions are valid [longitude, latitude] pairs.
+ * @param {Array[]} positions The positions to validate
+ * @param {int} [firstIndex] The index of the first position, used in the error messages, defaults to 0
+ */
+IDW.prototype._validateGeographicPositions = function(positions, firstIndex = 0) {
+    positions.forEach((p, k) => {
+        const i = firstIndex + k;
+        if (!(p[0] >= -180 && p[0] <= 180)) throw new ValidationError(`The longitude of the position at index ${i} is not between -180 and 180`);
+        if (!(p[1] >= -90 && p[1] <= 90)) throw new ValidationError(`The latitude of the position at index ${i} is not between -90 and 90`);
+    });
+}
+
+/**
+ * Sets the kernel function, which computes the weight of a data position from its distance to the position of interest.
+ * The weights are normalized afterwards, so only their relative size matters.
+ * If kernelFunction(0, power) is not finite, the value at a data position is returned when evaluating exactly at it.
+ * @param {function} kernelFunction The kernel function, (distance, power) => weight, should return non-negative values
+ */
+IDW.prototype.setKernelFunction = function(kernelFunction) {
+    if (typeof kernelFunction !== "function") throw new ValidationError("kernelFunction must be a function");
+    this.kernelFunction = kernelFunction;
+    this.kernel = { name: "custom" };
+}
+
+/**
+ * Use the classic Shepard kernel, which is the default:
+ *     w(d) = 1 / (d^p + denominatorOffset)
+ */
+IDW.prototype.useShepardWeights = function() {
+    this.kernel = { name: "shepard" };
+}
+
+/**
+ * Use the Franke-Little kernel, also known as modified Shepard weights, where positions further away than radius get zero weight:
+ *     w(d) = ((radius - d)_+ / (radius*d))^p
+ * where (x)_+ = max(x, 0). The classic choice for the power is p = 2.
+ * If no data positions are within the radius, evaluate returns NaN.
+ * @param {float} radius The radius of influence
+ */
+IDW.prototype.useFrankeLittleWeights = function(radius) {
+    if (!(typeof radius === "number" && radius > 0)) throw new ValidationError("radius must be a positive number");
+    this.kernel = { name: "frankeLittle", radius };
+}
+
+/**
+ * Use the Gaussian kernel, which ignores the power parameter:
+ *     w(d) = exp(-(d / bandwidth)^2 / 2)
+ * The weights are computed relative to the nearest position, exp(-(d^2 - d_min^2) / (2*bandwidth^2)), which gives the same normalized weights
+ * but prevents them from all underflowing to 0 far away from the data.
+ * @param {float} bandwidth The bandwidth, which determines how quickly the weights decay
+ */
+IDW.prototype.useGaussianKernel = function(bandwidth) {
+    if (!(typeof bandwidth === "number" && bandwidth > 0)) throw new ValidationError("bandwidth must be a positive number");
+    this.kernel = { name: "gaussian", bandwidth };
+}
+
+/**
+ * Use the inverse multiquadric kernel:
+ *     w(d) = (d^2 + c^2)^(-p / 2)
+ * With p = 1, this is the classic inverse multiquadric 1 / sqrt(d^2 + c^2).
+ * @param {float} c The shape parameter, which determines how flat the function is near the data positions
+ */
+IDW.prototype.useInverseMultiquadric = function(c) {
+    if (!(typeof c === "number" && c > 0)) throw new ValidationError("c must be a positive number");
+    this.kernel = { name: "inverseMultiquadric", c };
+}
+
+/**
+ * Computes the weight of a data position from its distance to the position of interest, using the current kernel.
+ * @param {float} dist The distance
+ * @param {float} power The power used when computing the weights
+ * @param {float} [minDist] The distance to the nearest contributing position, which the Gaussian kernel is computed relative to, defaults to 0
+ * @returns {float} The weight
+ */
+IDW.prototype._kernelWeight = function(dist, power, minDist = 0) {
+    const kernel = this.kernel;
+    switch (kernel.name) {
+        case "shepard": 
+            return 1 / (Math.pow(dist, power) + this.denominatorOffset);
+        case "frankeLittle": 
+            return dist >= kernel.radius ? 0 : Math.pow((kernel.radius - dist) / (kernel.radius*dist), power);
+        case "gaussian": {
+            const h = kernel.bandwidth;
+            return Math.exp(-0.5*(dist*dist - minDist*minDist) / (h*h));
+        }
+        case "inverseMultiquadric": 
+            return Math.pow(dist*dist + kernel.c*kernel.c, -power/2);
+        default: 
+            return this.kernelFunction(dist, power);
+    }
+}
+
+/**
+ * Computes the derivative of the kernel with respect to the distance, for the predefined kernels.
+ * @param {float} dist The distance, must be positive
+ * @param {float} power The power used when computing the weights
+ * @param {float} [minDist] The distance to the nearest contributing position, see _kernelWeight, defaults to 0
+ * @returns {float} The derivative
+ */
+IDW.prototype._kernelDerivative = function(dist, power, minDist = 0) {
+    const kernel = this.kernel;
+    const w = this._kernelWeight(dist, power, minDist);
+    switch (kernel.name) {
+        case "shepard": 
+            return -power*Math.pow(dist, power - 1)*w*w;
+        case "frankeLittle": {
+            if (dist >= kernel.radius) return 0;
+            // (radius - d) / (radius*d) = 1/d - 1/radius
+            const u = 1/dist - 1/kernel.radius;
+            return -power*Math.pow(u, power - 1) / (dist*dist);
+        }
+        case "gaussian": 
+            return -dist / (kernel.bandwidth*kernel.bandwidth)*w;
+        default: 
+            return -power*dist*w / (dist*dist + kernel.c*kernel.c);
+    }
+}
+
+/**
+ * Checks whether the kernel is infinite at distance 0, in which case the value at a data position is returned when evaluating exactly at it.
+ * @param {float} power The power used when computing the weights
+ * @returns {boolean} True if the kernel is infinite at distance 0
+ */
+IDW.prototype._isSingularAtZero = function(power) {
+    switch (this.kernel.name) {
+        case "shepard": return this.denominatorOffset === 0 && power > 0;
+        case "frankeLittle": return power > 0;
+        case "custom": return !Number.isFinite(this.kernelFunction(0, power));
+        default: return false;
+    }
+}
+
 /**
  * Sets the denominator offset, which is the value added to the denominator when computing the weights:
  *     w_i = 1 / (distance(p_i, position)^p + denominatorOffset)
@@ -165,7 +726,7 @@ IDW.prototype.setWeightFunction = function(weightFunction) {
  * @param {float} denominatorOffset The value of the denominator offset
  */
  IDW.prototype.setDenominatorOffset = function(denominatorOffset) {
-    if (typeof denominatorOffset !== "number") throw new Error("denominatorOffset must be a number");
+    if (typeof denominatorOffset !== "number") throw new ValidationError("denominatorOffset must be a number");
     this.denominatorOffset = denominatorOffset;
 }
 
@@ -174,13 +735,142 @@ IDW.prototype.setWeightFunction = function(weightFunction) {
  * @param {*} smoothing The amount of smoothing, must be between 0 and 1
  */
 IDW.prototype.setPeriodicSmoothing = function(smoothing) {
-    if (typeof smoothing !== "number") throw new Error("smoothing must be a number");
-    if (!(smoothing >=0 && smoothing <= 1)) throw new Error("smoothing must be between 0 and 1");
+    if (typeof smoothing !== "number") throw new ValidationError("smoothing must be a number");
+    if (!(smoothing >=0 && smoothing <= 1)) throw new ValidationError("smoothing must be between 0 and 1");
     this.periodicSmoothing = smoothing / 2;
 }
 
 /**
- * Computes the distance between two positions p1 and p2. Note: The distance depends on innerDistFunction and outerDistFunction.
+ * Limits the interpolation to the k nearest positions, also known as local or "modified Shepard" IDW.
+ * The nearest positions are found using a k-d tree, which is built the first time it's needed.
+ * Note: The search assumes that the distance grows with the absolute difference along each coordinate,
+ * which is the case for every predefined distance function. Custom distance functions without this property may miss neighbors.
+ * @param {int} [neighbors] The number of nearest positions to use, undefined or Infinity disables the limit
+ */
+IDW.prototype.setNeighbors = function(neighbors) {
+    if (neighbors === undefined || neighbors === Infinity) {
+        this.neighbors = undefined;
+        return;
+    }
+    if (!(Number.isInteger(neighbors) && neighbors >= 1)) throw new ValidationError("neighbors must be a positive integer");
+    this.neighbors = neighbors;
+    this._buildIndex();
+}
+
+/**
+ * Limits the interpolation to the positions that are within a given distance of the position of interest.
+ * If no positions are found inside the radius, evaluate returns NaN. The same assumption as in setNeighbors applies.
+ * @param {float} [searchRadius] The search radius, undefined or Infinity disables the limit
+ */
+IDW.prototype.setSearchRadius = function(searchRadius) {
+    if (searchRadius === undefined || searchRadius === Infinity) {
+        this.searchRadius = undefined;
+        return;
+    }
+    if (!(typeof searchRadius === "number" && searchRadius > 0)) throw new ValidationError("searchRadius must be a positive number");
+    this.searchRadius = searchRadius;
+    this._buildIndex();
+}
+
+/**
+ * Builds the spatial index used for finding the nearest positions, unless it already exists.
+ */
+IDW.prototype._buildIndex = function() {
+    if (this.index === undefined) this.index = new KDTree(this._mappedPositions);
+}
+
+/**
+ * Finds the positions that contribute to the interpolated value at a position.
+ * Without a neighbor limit or search radius, every position contributes.
+ * Note: In this case, the returned arrays are internal buffers that are overwritten by the next call.
+ * @param {Array} position The position of interest, already mapped periodically
+ * @param {int} [exclude] The index of a position to leave out, used for leave-one-out cross-validation, defaults to undefined
+ * @returns {object} Object containing the arrays indices and distances
+ */
+IDW.prototype._findNeighbours = function(position, exclude) {
+    if (this.neighbors === undefined && this.searchRadius === undefined) {
+        const distances = this._distanceBuffer;
+        for (let i = 0; i < this.n; i++) {
+            distances[i] = this._mappedDistance(position, this._mappedPositions[i]);
+        }
+        if (exclude === undefined) return { indices: this._allIndices, distances };
+
+        const indices = this._allIndices.filter(i => i !== exclude);
+        return { indices, distances: indices.map(i => distances[i]) };
+    }
+
+    // When leaving out a position, search for one extra neighbor in case the left out position is among the nearest
+    const k = this.neighbors !== undefined && exclude !== undefined ? this.neighbors + 1 : this.neighbors;
+    const result = this.index.search(
+        i => this._mappedDistance(position, this._mappedPositions[i]),
+        (min, max) => this._boxDistance(position, min, max),
+        k,
+        this.searchRadius
+    );
+    if (exclude === undefined) return result;
+
+    const excludeIndex = result.indices.indexOf(exclude);
+    if (excludeIndex !== -1) {
+        result.indices.splice(excludeIndex, 1);
+        result.distances.splice(excludeIndex, 1);
+    }
+    if (this.neighbors !== undefined && result.indices.length > this.neighbors) {
+        result.indices.pop();
+        result.distances.pop();
+    }
+    return result;
+}
+
+/**
+ * Sets the default power used when computing the weights, which is used when no power is passed to evaluate and the other evaluation methods.
+ * @param {float} power The default power
+ */
+IDW.prototype.setPower = function(power) {
+    if (typeof power !== "number") throw new ValidationError("power must be a number");
+    this.power = power;
+}
+
+/**
+ * Computes a lower bound for the distance between a position and any position inside a bounding box.
+ * @param {Array} position The position, already mapped periodically
+ * @param {Array} min The lower corner of the bounding box
+ * @param {Array} max The upper corner of the bounding box
+ * @returns {float} The lower bound
+ */
+IDW.prototype._boxDistance = function(position, min, max) {
+    const ext = this.extent;
+    // The smallest absolute coordinate difference along each axis
+    const gaps = Array(this.dim).fill().map((_, i) => {
+        const coordinate = position[i];
+        if (coordinate >= min[i] && coordinate <= max[i]) return 0;
+
+        const d = coordinate < min[i] ? min[i] - coordinate : coordinate - max[i];
+        if (!(this.isPeriodic && ext[i] !== undefined)) return d;
+        // The box can also be reached by wrapping around the opposite edge
+        const width = ext[i][1] - ext[i][0];
+        const wrapped = width - (coordinate < min[i] ? max[i] - coordinate : coordinate - min[i]);
+        return Math.min(d, wrapped);
+    });
+
+    if (this.distanceMetric.name === "anisotropic") {
+        // |T*d| >= (smallest singular value of T)*|d|, with a small margin for rounding errors
+        return (1 - 1e-9)*this._minStretch*Math.sqrt(IDW.sum(gaps.map(d => d*d)));
+    }
+    if (this.distanceMetric.name === "haversine") {
+        // The great-circle distance is at least the distance travelled along a meridian to reach the latitude
+        return (1 - 1e-9)*this.distanceMetric.radius*gaps[1]*Math.PI / 180;
+    }
+
+    const diffArray = gaps.map((d, i) => {
+        if (this.isPeriodic && ext[i] !== undefined && d > 0) d = this._periodicAxisDistance(d, i);
+        return this.innerDistFunction(d, i);
+    });
+    return this.outerDistFunction(diffArray);
+}
+
+/**
+ * Computes the distance between two positions p1 and p2. Note: The distance depends on innerDistFunction and outerDistFunction,
+ * unless a distance function that doesn't decompose by axis (e.g. anisotropic distance) is used.
  * @param {Array} p1 Coordinates of first position 
  * @param {Array} p2 Coordinates of second position
  * @returns {float} The distance between p1 and p2
@@ -193,55 +883,138 @@ IDW.prototype._distance = function(p1, p2) {
     }
 
     if (this.isPeriodic) {
-        return this._periodicDistance(p1, p2);
-    } else {
-        return this._standardDistance(p1, p2);
+        p1 = this._mapPeriodically(p1);
+        p2 = this._mapPeriodically(p2);
     }
-    
+    return this._mappedDistance(p1, p2);
 }
 
 IDW.prototype._standardDistance = function(p1, p2) {
-    const diffArray = Array(this.dim).fill().map((_, i) => {
-        let d = p2[i] - p1[i];
-        return this.innerDistFunction(d, i);
-    });
+    const diffArray = Array(this.dim);
+    for (let i = 0; i < this.dim; i++) {
+        diffArray[i] = this.innerDistFunction(p2[i] - p1[i], i);
+    }
     return this.outerDistFunction(diffArray);
 }
 
-IDW.prototype._periodicDistance = function(p1, p2) {
-    p1 = this._mapPeriodically(p1);
-    p2 = this._mapPeriodically(p2);
-
+/**
+ * Computes the distance between two positions that are already mapped inside the periodic extent.
+ * @param {Array} p1 Coordinates of first position
+ * @param {Array} p2 Coordinates of second position
+ * @returns {float} The distance between p1 and p2
+ */
+IDW.prototype._wrappedDistance = function(p1, p2) {
     const ext = this.extent;
 
-    const diffArray = Array(this.dim).fill().map((_, i) => {
+    const diffArray = Array(this.dim);
+    for (let i = 0; i < this.dim; i++) {
         let d = p2[i] - p1[i];
-        
-        if (ext[i] !== undefined) {
-            const width = ext[i][1] - ext[i][0];
-            d = Math.abs(d);
-            // If the absolute coordinate difference is greater than width / 2,
-            // the "wrap around"-distance, width - d, is shorter
-            if (d > width / 2) d = width - d; 
+        if (ext[i] !== undefined) d = this._periodicAxisDistance(d, i);
+        diffArray[i] = this.innerDistFunction(d, i);
+    }
+    return this.outerDistFunction(diffArray);
+}
 
-            const w = this.periodicSmoothing;
-            // Maximum distance is width / 2 –––> d / (width / 2) rescales to [0, 1]
-            d = width / 2 * IDW._squareEase(d / (width / 2), w, w);
-        }
+/**
+ * Computes the distance between two positions, where the positions are already mapped periodically (if relevant).
+ * @param {Array} p1 Coordinates of first position
+ * @param {Array} p2 Coordinates of second position
+ * @returns {float} The distance between p1 and p2
+ */
+IDW.prototype._mappedDistance = function(p1, p2) {
+    if (this.distanceMetric.name === "anisotropic") return this._anisotropicDistance(p1, p2);
+    if (this.distanceMetric.name === "haversine") return this._haversineDistance(p1, p2);
+    return this.isPeriodic ? this._wrappedDistance(p1, p2) : this._standardDistance(p1, p2);
+}
 
-        return this.innerDistFunction(d, i);
+/**
+ * Computes the anisotropic distance |T*(p1 - p2)| between two mapped positions, where T is the transformation matrix.
+ * @param {Array} p1 Coordinates of first position
+ * @param {Array} p2 Coordinates of second position
+ * @returns {float} The distance between p1 and p2
+ */
+IDW.prototype._anisotropicDistance = function(p1, p2) {
+    const transformed = IDW._multiply(this.distanceMetric.matrix, this._anisotropicDifference(p1, p2));
+    return Math.sqrt(IDW.sum(transformed.map(v => v*v)));
+}
+
+/**
+ * Computes the great-circle distance between two positions given as [longitude, latitude] in degrees, 
+ * using the haversine formula (https://en.wikipedia.org/wiki/Haversine_formula).
+ * @param {Array} p1 Coordinates of first position
+ * @param {Array} p2 Coordinates of second position
+ * @returns {float} The distance between p1 and p2
+ */
+IDW.prototype._haversineDistance = function(p1, p2) {
+    const toRadians = Math.PI / 180;
+    const sinLat = Math.sin((p2[1] - p1[1])*toRadians / 2);
+    const sinLon = Math.sin((p2[0] - p1[0])*toRadians / 2);
+    const a = sinLat*sinLat + Math.cos(p1[1]*toRadians)*Math.cos(p2[1]*toRadians)*sinLon*sinLon;
+    return 2*this.distanceMetric.radius*Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Computes the difference p1 - p2 used by the anisotropic distance.
+ * Along periodic axes, the difference to the nearest and the second nearest periodic copy of p2 are both considered, 
+ * and the combination giving the shortest transformed distance is returned. This is necessary since a rotated metric
+ * doesn't necessarily regard the copy that is nearest along each axis as the nearest overall.
+ * @param {Array} p1 Coordinates of first position
+ * @param {Array} p2 Coordinates of second position
+ * @returns {Array} The difference
+ */
+IDW.prototype._anisotropicDifference = function(p1, p2) {
+    const diff = p1.map((c, i) => c - p2[i]);
+    if (!this.isPeriodic) return diff;
+
+    const periodicAxes = diff.map((_, i) => i).filter(i => this.extent[i] !== undefined);
+    const alternatives = periodicAxes.map(i => {
+        const width = this.extent[i][1] - this.extent[i][0];
+        const nearest = Math.abs(diff[i]) > width / 2 ? diff[i] - Math.sign(diff[i])*width : diff[i];
+        return [nearest, nearest > 0 ? nearest - width : nearest + width];
     });
-    return this.outerDistFunction(diffArray);
+
+    let best, bestDistance = Infinity;
+    const candidate = diff.slice();
+    // Each bit in combination selects one of the alternatives for the corresponding periodic axis
+    for (let combination = 0; combination < 1 << periodicAxes.length; combination++) {
+        periodicAxes.forEach((axis, k) => candidate[axis] = alternatives[k][(combination >> k) & 1]);
+        const transformed = IDW._multiply(this.distanceMetric.matrix, candidate);
+        const squaredDistance = IDW.sum(transformed.map(v => v*v));
+        if (squaredDistance < bestDistance) {
+            bestDistance = squaredDistance;
+            best = candidate.slice();
+        }
+    }
+    return best;
+}
+
+/**
+ * Transforms a coordinate difference along a periodic axis into the smoothed "wrap around"-distance.
+ * @param {float} d The coordinate difference, with both coordinates inside the periodic extent
+ * @param {int} i The index of the coordinate
+ * @returns {float} The transformed difference
+ */
+IDW.prototype._periodicAxisDistance = function(d, i) {
+    const width = this.extent[i][1] - this.extent[i][0];
+    d = Math.abs(d);
+    // If the absolute coordinate difference is greater than width / 2,
+    // the "wrap around"-distance, width - d, is shorter
+    if (d > width / 2) d = width - d; 
+
+    const w = this.periodicSmoothing;
+    // Maximum distance is width / 2 –––> d / (width / 2) rescales to [0, 1]
+    return width / 2 * IDW._squareEase(d / (width / 2), w, w);
 }
 
 /**
- * Normalizes an array of numbers to have a sum equal to 1.
- * @param {Array} values The array of values to be normalized
- * @returns {Array} The normalized array
+ * Normalizes the first count entries of a buffer in place, so that they have a sum equal to 1.
+ * @param {Float64Array} buffer The buffer containing the values to be normalized
+ * @param {int} count The number of entries to normalize
  */
-IDW._normalizeValues = function(values) {
-    const sum = IDW.sum(values);
-    return values.map(v => v / sum);
+IDW._normalizeBuffer = function(buffer, count) {
+    let sum = 0;
+    for (let i = 0; i < count; i++) sum += buffer[i];
+    for (let i = 0; i < count; i++) buffer[i] /= sum;
 }
 
 /**
@@ -266,7 +1039,7 @@ IDW.sum = function(values) {
  * @returns {float} Eased value
  */
 IDW._squareEase = function(value, wStart = 0.05, wEnd = 0.05) {
-    if (wStart + wEnd > 1) throw new Error("The sum of wStart and wEnd cannot exceed 1");
+    if (wStart + wEnd > 1) throw new ValidationError("The sum of wStart and wEnd cannot exceed 1");
     if (value <= 0) return 0;
     if (value > 1) return 1;
     
@@ -297,46 +1070,939 @@ IDW._squareEase = function(value, wStart = 0.05, wEnd = 0.05) {
 }
 
 /**
- * Returns the positions and values used for the IDW.
+ * Multiplies a matrix by a vector.
+ * @param {Array[]} matrix The matrix, as an array of rows
+ * @param {Array} vector The vector
+ * @returns {Array} The product
+ */
+IDW._multiply = function(matrix, vector) {
+    return matrix.map(row => {
+        let sum = 0;
+        for (let j = 0; j < vector.length; j++) sum += row[j]*vector[j];
+        return sum;
+    });
+}
+
+/**
+ * Computes the smallest singular value of a square matrix, as the square root of the smallest eigenvalue of 
+ * matrix^T*matrix, found using the Jacobi eigenvalue algorithm (https://en.wikipedia.org/wiki/Jacobi_eigenvalue_algorithm).
+ * @param {Array[]} matrix The matrix, as an array of rows
+ * @returns {float} The smallest singular value
+ */
+IDW._minSingularValue = function(matrix) {
+    const n = matrix.length;
+    const a = Array(n).fill().map((_, i) => Array(n).fill().map((_, j) => IDW.sum(matrix.map(row => row[i]*row[j]))));
+    const scale = IDW.sum(a.map((row, i) => row[i]*row[i]));
+
+    for (let sweep = 0; sweep < 100; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) offDiagonal += a[p][q]*a[p][q];
+        if (offDiagonal <= 1e-30*scale) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (a[p][q] === 0) continue;
+                // Rotation that eliminates a[p][q]
+                const theta = (a[q][q] - a[p][p]) / (2*a[p][q]);
+                const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta*theta + 1));
+                const c = 1 / Math.sqrt(t*t + 1);
+                const s = t*c;
+                for (let k = 0; k < n; k++) {
+                    const [akp, akq] = [a[k][p], a[k][q]];
+                    a[k][p] = c*akp - s*akq;
+                    a[k][q] = s*akp + c*akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const [apk, aqk] = [a[p][k], a[q][k]];
+                    a[p][k] = c*apk - s*aqk;
+                    a[q][k] = s*apk + c*aqk;
+                }
+            }
+        }
+    }
+    return Math.sqrt(Math.max(0, Math.min(...a.map((row, i) => row[i]))));
+}
+
+/**
+ * Derivative of _squareEase with respect to value.
+ * @param {float} value The value where the derivative is computed
+ * @param {float} wStart The "width" of the starting quadratic portion
+ * @param {float} wEnd The "width" of the ending quadratic portion
+ * @returns {float} The derivative
+ */
+IDW._squareEaseDerivative = function(value, wStart = 0.05, wEnd = 0.05) {
+    if (value <= 0 || value > 1) return 0;
+    const common = 1/(2 - (wStart + wEnd)); 
+    if (value <= wStart) return 2*common/wStart*value;
+    if (value <= 1 - wEnd) return 2*common;
+    return 2*common/wEnd*(1 - value);
+}
+
+/**
+ * Returns the positions and values currently used for the IDW, including any changes made by addPoint, removePoint and updateValue.
+ * The arrays are used internally, and must not be modified.
  * @returns {object} Object containing positions and values
  */
 IDW.prototype.getData = function() {
-    return { positions: this.positions, value: this.value };
+    return { positions: this.positions, values: this.values };
 }
 
 /**
- * Performs inverse distance weighting in a specified position.
+ * Prepares a position for evaluation by wrapping it in an array (1D), applying the domain warp and mapping it periodically (if relevant).
+ * @param {float|Array} position The position of interest
+ * @returns {Array} The prepared position
+ */
+IDW.prototype._prepareQuery = function(position) {
+    if (typeof position === "number") position = [position];
+    this._validateQuery(position);
+    if (this.domainWarp !== undefined) position = this._applyDomainWarp(position);
+    if (this.distanceMetric.name === "haversine" && !(position[1] >= -90 && position[1] <= 90)) {
+        throw new ValidationError("The latitude (second coordinate) must be between -90 and 90");
+    }
+    return this.isPeriodic ? this._mapPeriodically(position) : position;
+}
+
+/**
+ * Ensures that a position of interest is an array of numbers with dimension this.dim.
  * @param {Array} position The position of interest
- * @param {float} power The power used when computing the weights, defaults to 2
- * @returns {float} The interpolated value
  */
-IDW.prototype.evaluate = function(position, power = 2) {
-    let weights = Array(this.n).fill();
+IDW.prototype._validateQuery = function(position) {
+    if (!Array.isArray(position) && !ArrayBuffer.isView(position)) throw new ValidationError("position must be a number (1D) or an array of numbers");
+    if (position.length !== this.dim) throw new DimensionError(`position has dimension ${position.length}, but the data has dimension ${this.dim}`);
+    for (let i = 0; i < this.dim; i++) {
+        if (typeof position[i] !== "number" || Number.isNaN(position[i])) throw new ValidationError(`Coordinate ${i} of position is not a number`);
+    }
+}
+
+/**
+ * Enables domain warping, where the position of interest is displaced by another vector field before interpolating:
+ *     evaluate(position) = interpolate(position + strength*warp.evaluate(position))
+ * If the warp field is periodic with the same periodic extent, so is the warped function.
+ * @param {IDW} warp The field that determines the displacement, must return arrays of length this.dim (or numbers in 1D). 
+ * Pass undefined to disable domain warping
+ * @param {float} [strength] The factor multiplied with the displacement, defaults to 1
+ * @param {float} [power] The power used when evaluating the warp field, defaults to 2
+ */
+IDW.prototype.setDomainWarp = function(warp, strength = 1, power = 2) {
+    if (warp === undefined) {
+        this.domainWarp = undefined;
+        return;
+    }
+    if (warp === null || typeof warp.evaluate !== "function") throw new ValidationError("warp must be an object with an evaluate method, such as an IDW");
+    const channels = warp.channels !== undefined ? warp.channels : this.dim;
+    if (warp.dim !== undefined && warp.dim !== this.dim) throw new DimensionError(`warp must have dimension ${this.dim}`);
+    if (channels !== this.dim) throw new ValidationError(`The values of warp must have ${this.dim} channels, one per dimension`);
+    if (typeof strength !== "number") throw new ValidationError("strength must be a number");
+    if (typeof power !== "number") throw new ValidationError("power must be a number");
+    this.domainWarp = { warp, strength, power };
+}
+
+/**
+ * Displaces a position by the domain warp.
+ * @param {Array} position The position
+ * @returns {Array} The displaced position
+ */
+IDW.prototype._applyDomainWarp = function(position) {
+    const { warp, strength, power } = this.domainWarp;
+    let displacement = warp.evaluate(position, power);
+    if (typeof displacement === "number") displacement = [displacement];
+    return position.map((c, i) => c + strength*displacement[i]);
+}
+
+/**
+ * Returns a JSON-compatible representation of the IDW, which can be restored using IDW.fromJSON.
+ * This is also called by JSON.stringify. Only predefined distance functions and kernels can be serialized, 
+ * and a custom distance function, kernel function or weight function leads to an error.
+ * @returns {object} Object containing the data and the options of the IDW
+ */
+IDW.prototype.toJSON = function() {
+    const state = this._serializeOptions();
+    state.positions = this.positions.map(p => p.slice());
+    state.values = Array(this.n).fill().map((_, i) => this._formatValue(this._valueBuffer, i*this.channels));
+    return state;
+}
 
-    // For each position p_i in original data, compute weight w_i = 1 / (distance(position, p_i)^p + denominatorOffset)
-    this.positions.forEach((p, i) => {
-        const dist = this._distance(position, p);
-        weights[i] = 1 / (Math.pow(dist, power) + this.denominatorOffset); 
+/**
+ * Creates an IDW from the representation returned by toJSON (either the object or a JSON string).
+ * @param {object|string} json The representation of the IDW
+ * @returns {IDW} The restored IDW
+ */
+IDW.fromJSON = function(json) {
+    let state = json;
+    if (typeof json === "string") {
+        try {
+            state = JSON.parse(json);
+        } catch (e) {
+            throw new SerializationError(`json is not valid JSON: ${e.message}`);
+        }
+    }
+    if (state === null || typeof state !== "object" || state.type !== "IDW") throw new SerializationError("json is not a serialized IDW");
+    return IDW._deserialize(state, state.positions, state.values);
+}
+
+/**
+ * Returns a compact binary representation of the IDW, which can be restored using IDW.fromBinary.
+ * The buffer consists of a 4-byte little-endian header length, a UTF-8 encoded JSON header with the options (padded to a multiple of 8 bytes),
+ * followed by the positions and then the values as little-endian 64-bit floats.
+ * The same restrictions as for toJSON apply.
+ * @returns {ArrayBuffer} The binary representation
+ */
+IDW.prototype.toBinary = function() {
+    const header = this._serializeOptions();
+    Object.assign(header, { n: this.n, dim: this.dim, valueType: this.valueType, valueKeys: this.valueKeys, channels: this.channels });
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const dataOffset = Math.ceil((4 + headerBytes.length) / 8)*8;
+
+    const buffer = new ArrayBuffer(dataOffset + 8*this.n*(this.dim + this.channels));
+    const view = new DataView(buffer);
+    view.setUint32(0, headerBytes.length, true);
+    new Uint8Array(buffer, 4, headerBytes.length).set(headerBytes);
+    // DataView is used instead of a Float64Array, so that the byte order doesn't depend on the platform
+    let offset = dataOffset;
+    this.positions.forEach(p => p.forEach(coordinate => {
+        view.setFloat64(offset, coordinate, true);
+        offset += 8;
+    }));
+    this._valueBuffer.forEach(v => {
+        view.setFloat64(offset, v, true);
+        offset += 8;
     });
+    return buffer;
+}
+
+/**
+ * Creates an IDW from the binary representation returned by toBinary.
+ * @param {ArrayBuffer|Uint8Array} buffer The binary representation, either an ArrayBuffer or a view of one (e.g. a Node.js Buffer)
+ * @returns {IDW} The restored IDW
+ */
+IDW.fromBinary = function(buffer) {
+    const bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    if (bytes.length < 4) throw new SerializationError("buffer is not a serialized IDW");
+    const headerLength = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true);
+    let header;
+    try {
+        header = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + headerLength)));
+    } catch (e) {
+        throw new SerializationError("buffer is not a serialized IDW");
+    }
+    if (header === null || header.type !== "IDW") throw new SerializationError("buffer is not a serialized IDW");
+
+    const { n, dim, channels, valueType, valueKeys } = header;
+    const dataOffset = Math.ceil((4 + headerLength) / 8)*8;
+    if (bytes.length !== dataOffset + 8*n*(dim + channels)) throw new SerializationError("buffer has an unexpected length");
+    const view = new DataView(bytes.buffer, bytes.byteOffset + dataOffset, bytes.length - dataOffset);
+    const data = new Float64Array(n*(dim + channels));
+    data.forEach((_, i) => data[i] = view.getFloat64(8*i, true));
+
+    const positions = Array(n).fill().map((_, i) => Array.from(data.subarray(i*dim, (i + 1)*dim)));
+    const values = Array(n).fill().map((_, i) => {
+        const channelValues = data.subarray(n*dim + i*channels, n*dim + (i + 1)*channels);
+        if (valueType === "scalar") return channelValues[0];
+        if (valueType === "array") return Array.from(channelValues);
+        const value = {};
+        valueKeys.forEach((key, c) => value[key] = channelValues[c]);
+        return value;
+    });
+    return IDW._deserialize(header, positions, values);
+}
+
+/**
+ * Collects the options of the IDW in a JSON-compatible object, used by toJSON and toBinary.
+ * @returns {object} The serialized options
+ */
+IDW.prototype._serializeOptions = function() {
+    if (this.distanceMetric.name === "custom") {
+        throw new SerializationError("Cannot serialize an IDW with custom distance functions, use one of the predefined distance functions instead");
+    }
+    if (this.kernel.name === "custom") {
+        throw new SerializationError("Cannot serialize an IDW with a custom kernel function, use one of the predefined kernels instead");
+    }
+    if (this.hasCustomWeightFunction) throw new SerializationError("Cannot serialize an IDW with a custom weight function");
+
+    let periodicExtent;
+    if (this.isPeriodic) {
+        // Stored as an object, since sparse arrays are not preserved by JSON
+        periodicExtent = {};
+        Array(this.dim).fill().forEach((_, i) => {
+            if (this.extent[i] !== undefined) periodicExtent[i] = this.extent[i].slice();
+        });
+    }
+
+    return {
+        type: "IDW",
+        version: 1,
+        periodicExtent,
+        periodicSmoothing: 2*this.periodicSmoothing,
+        denominatorOffset: this.denominatorOffset,
+        power: this.power,
+        neighbors: this.neighbors,
+        searchRadius: this.searchRadius,
+        missingValues: this.missingValues,
+        distanceMetric: Object.assign({}, this.distanceMetric),
+        kernel: Object.assign({}, this.kernel),
+        domainWarp: this._serializeDomainWarp()
+    };
+}
+
+/**
+ * Serializes the domain warp, if any. Only warp fields that are IDW objects can be serialized.
+ * @returns {object} Object containing field (the serialized warp field), strength and power, or undefined
+ */
+IDW.prototype._serializeDomainWarp = function() {
+    if (this.domainWarp === undefined) return undefined;
+    const { warp, strength, power } = this.domainWarp;
+    if (!(warp instanceof IDW)) throw new SerializationError("Cannot serialize a domain warp that is not an IDW");
+    return { field: warp.toJSON(), strength, power };
+}
+
+/**
+ * Creates an IDW from serialized options and data, used by fromJSON and fromBinary.
+ * @param {object} state The serialized options
+ * @param {Array[]} positions The positions
+ * @param {Array} values The values
+ * @returns {IDW} The restored IDW
+ */
+IDW._deserialize = function(state, positions, values) {
+    if (state.version !== 1) throw new SerializationError(`Unsupported serialization version: ${state.version}`);
+    const idw = new IDW({ positions, values }, {
+        periodicExtent: state.periodicExtent,
+        denominatorOffset: state.denominatorOffset,
+        power: state.power,
+        neighbors: state.neighbors,
+        searchRadius: state.searchRadius,
+        missingValues: state.missingValues
+    });
+    idw.setPeriodicSmoothing(state.periodicSmoothing);
+    idw._useDistanceMetric(state.distanceMetric);
+    idw._useKernel(state.kernel);
+    if (state.domainWarp !== undefined) {
+        const { field, strength, power } = state.domainWarp;
+        idw.setDomainWarp(IDW.fromJSON(field), strength, power);
+    }
+    return idw;
+}
+
+/**
+ * Sets the distance functions from a description of a predefined distance function, as stored in this.distanceMetric.
+ * @param {object} metric The description, containing the name of the distance function and its parameters
+ */
+IDW.prototype._useDistanceMetric = function(metric) {
+    switch (metric.name) {
+        case "euclidean": return this.useEuclideanDistance();
+        case "taxicab": return this.useTaxicabDistance();
+        case "chessboard": return this.useChessboardDistance();
+        case "minkowski": return this.useMinkowskiDistance(metric.power);
+        case "anisotropic": return this.useAnisotropicDistance({ matrix: metric.matrix });
+        case "haversine": return this.useHaversineDistance({ radius: metric.radius });
+        default: throw new SerializationError(`Unknown distance function: ${metric.name}`);
+    }
+}
+
+/**
+ * Sets the kernel from a description of a predefined kernel, as stored in this.kernel.
+ * @param {object} kernel The description, containing the name of the kernel and its parameters
+ */
+IDW.prototype._useKernel = function(kernel) {
+    switch (kernel.name) {
+        case "shepard": return this.useShepardWeights();
+        case "frankeLittle": return this.useFrankeLittleWeights(kernel.radius);
+        case "gaussian": return this.useGaussianKernel(kernel.bandwidth);
+        case "inverseMultiquadric": return this.useInverseMultiquadric(kernel.c);
+        default: throw new SerializationError(`Unknown kernel: ${kernel.name}`);
+    }
+}
+
+/**
+ * Performs inverse distance weighting in a specified position.
+ * If a neighbor limit or search radius is set, only the nearest positions are used, 
+ * and NaN is returned if there are no positions inside the search radius.
+ * @param {Array} position The position of interest
+ * @param {float} power The power used when computing the weights, defaults to this.power (2 unless specified)
+ * @returns {float|Array|object} The interpolated value, of the same type as the values passed to the constructor
+ */
+IDW.prototype.evaluate = function(position, power = this.power) {
+    return this._interpolate(this._prepareQuery(position), power);
+}
+
+/**
+ * Performs inverse distance weighting in a position that has been prepared by _prepareQuery.
+ * @param {Array} position The prepared position of interest
+ * @param {float} power The power used when computing the weights
+ * @returns {float|Array|object} The interpolated value
+ */
+IDW.prototype._interpolate = function(position, power) {
+    this._interpolateInto(position, power, this._resultBuffer, 0);
+    return this._formatValue(this._resultBuffer);
+}
+
+/**
+ * Performs inverse distance weighting in a specified position, and also returns diagnostics that describe how reliable the value is.
+ * The diagnostics are computed from the same normalized weights w_1,..., w_n as the value:
+ * - variance: The weighted variance w_1*(z_1 - z)^2 + ... + w_n*(z_n - z)^2 of the values around the interpolated value z, for each channel
+ * - nearestDistance: The distance to the nearest contributing position, as measured by the distance function (Infinity if there are none)
+ * - effectiveCount: The effective number of contributing positions 1/(w_1^2 + ... + w_n^2), which is 1 when a single position dominates and n when the weights are equal
+ * - dominantIndex: The index of the position with the largest weight, or -1 if the value is undefined
+ * At a data position, the coinciding positions share the weight equally. If the value is NaN, the variance is also NaN and effectiveCount is 0.
+ * @param {Array} position The position of interest
+ * @param {float} power The power used when computing the weights, defaults to this.power
+ * @returns {object} Object containing value, variance (of the same type as the values), nearestDistance, effectiveCount and dominantIndex
+ */
+IDW.prototype.evaluateDetailed = function(position, power = this.power) {
+    const m = this.channels;
+    const out = {
+        values: new Float64Array(m),
+        variance: new Float64Array(m),
+        nearestDistance: new Float64Array(1),
+        effectiveCount: new Float64Array(1),
+        dominantIndex: new Int32Array(1)
+    };
+    this._interpolateDetailedInto(this._prepareQuery(position), power, out, 0);
+    return {
+        value: this._formatValue(out.values),
+        variance: this._formatValue(out.variance),
+        nearestDistance: out.nearestDistance[0],
+        effectiveCount: out.effectiveCount[0],
+        dominantIndex: out.dominantIndex[0]
+    };
+}
+
+/**
+ * Performs inverse distance weighting in a prepared position, and writes the interpolated channels to a buffer.
+ * Every evaluation method goes through this function (or _combineInto), which ensures that they give identical results.
+ * @param {Array} position The prepared position of interest
+ * @param {float} power The power used when computing the weights
+ * @param {Float64Array|Float32Array} out The buffer in which the channels are stored
+ * @param {int} offset The index in out where the first channel is stored
+ * @param {int} [exclude] The index of a position to leave out of the interpolation, defaults to undefined
+ */
+IDW.prototype._interpolateInto = function(position, power, out, offset, exclude) {
+    this._combineInto(this._computeWeights(position, power, exclude), out, offset);
+}
+
+/**
+ * Computes the interpolated channels from the weights returned by _computeWeights, and writes them to a buffer.
+ * @param {object} weighting The object returned by _computeWeights
+ * @param {Float64Array|Float32Array} out The buffer in which the channels are stored
+ * @param {int} offset The index in out where the first channel is stored
+ */
+IDW.prototype._combineInto = function(weighting, out, offset) {
+    const m = this.channels;
+    const { indices, count, hits } = weighting;
+
+    if (count === 0) {
+        for (let c = 0; c < m; c++) out[offset + c] = NaN;
+        return;
+    }
+    if (hits !== undefined) {
+        for (let c = 0; c < m; c++) {
+            let sum = 0;
+            hits.forEach(hit => sum += this._valueBuffer[hit*m + c]);
+            out[offset + c] = sum / hits.length;
+        }
+        return;
+    }
+
+    // Compute weighted average w_1*z_1 + ... + w_n*z_n for each channel, reusing the same weights
+    const weights = this._weightBuffer;
+    for (let c = 0; c < m; c++) {
+        let weightedAverage = 0;
+        for (let i = 0; i < count; i++) weightedAverage += weights[i] * this._valueBuffer[indices[i]*m + c];
+        out[offset + c] = weightedAverage;
+    }
+}
+
+/**
+ * Performs inverse distance weighting in a prepared position, and writes the value and the diagnostics described in evaluateDetailed to buffers.
+ * @param {Array} position The prepared position of interest
+ * @param {float} power The power used when computing the weights
+ * @param {object} out Object containing the buffers values and variance (with one entry per channel and position),
+ * and nearestDistance, effectiveCount and dominantIndex (with one entry per position)
+ * @param {int} index The index of the position in the buffers
+ */
+IDW.prototype._interpolateDetailedInto = function(position, power, out, index) {
+    const m = this.channels;
+    const weighting = this._computeWeights(position, power);
+    const { indices, distances, count, hits } = weighting;
+    // The value is computed in _resultBuffer, so that the variance isn't affected by the rounding of out.values
+    const value = this._resultBuffer;
+    this._combineInto(weighting, value, 0);
+    out.values.set(value, index*m);
+
+    let nearestDistance = Infinity;
+    for (let i = 0; i < indices.length; i++) nearestDistance = Math.min(nearestDistance, distances[i]);
+    out.nearestDistance[index] = nearestDistance;
+
+    if (count === 0) {
+        for (let c = 0; c < m; c++) out.variance[index*m + c] = NaN;
+        out.effectiveCount[index] = 0;
+        out.dominantIndex[index] = -1;
+        return;
+    }
+
+    // At a data position, the coinciding positions have equal weights
+    const contributors = hits !== undefined ? hits : indices;
+    const contributorCount = hits !== undefined ? hits.length : count;
+    const weightOf = i => hits !== undefined ? 1 / hits.length : this._weightBuffer[i];
+
+    let squaredWeightSum = 0;
+    let dominant = 0;
+    for (let i = 0; i < contributorCount; i++) {
+        const w = weightOf(i);
+        squaredWeightSum += w*w;
+        if (w > weightOf(dominant)) dominant = i;
+    }
+    out.effectiveCount[index] = 1 / squaredWeightSum;
+    out.dominantIndex[index] = contributors[dominant];
+
+    for (let c = 0; c < m; c++) {
+        let variance = 0;
+        for (let i = 0; i < contributorCount; i++) {
+            const difference = this._valueBuffer[contributors[i]*m + c] - value[c];
+            variance += weightOf(i)*difference*difference;
+        }
+        out.variance[index*m + c] = variance;
+    }
+}
+
+/**
+ * Computes the normalized weights of the positions contributing to the value at a prepared position.
+ * The weights are stored in the first count entries of _weightBuffer.
+ * @param {Array} position The prepared position of interest
+ * @param {float} power The power used when computing the weights
+ * @param {int} [exclude] The index of a position to leave out of the interpolation, defaults to undefined
+ * @returns {object} Object containing indices (the contributing positions), distances (their distances to position),
+ * count (the number of contributing positions, 0 if the value is undefined), weightSum (the sum of the weights before normalization),
+ * minDist (the distance the kernel is computed relative to, see _kernelWeight) and hits (the indices of the data positions that coincide with position, or undefined)
+ */
+IDW.prototype._computeWeights = function(position, power, exclude) {
+    const { indices, distances } = this._findNeighbours(position, exclude);
+    let count = indices.length;
+    if (count === 0) return { indices, distances, count };
+
+    // If the position coincides with one or more data positions and the weights are infinite there, 
+    // the value is the (average) value at those positions
+    if (this._isSingularAtZero(power)) {
+        const hits = [];
+        for (let i = 0; i < count; i++) {
+            if (distances[i] === 0) hits.push(indices[i]);
+        }
+        if (hits.length > 0) return { indices, distances, count, hits };
+    }
+
+    // The Gaussian weights are computed relative to the nearest position, since they would otherwise underflow far from the data
+    let minDist = 0;
+    if (this.kernel.name === "gaussian") {
+        minDist = Infinity;
+        for (let i = 0; i < count; i++) minDist = Math.min(minDist, distances[i]);
+    }
+
+    // For each neighboring position p_i, compute weight w_i = kernel(distance(position, p_i))
+    const weights = this._weightBuffer;
+    let weightSum = 0;
+    for (let i = 0; i < count; i++) {
+        weights[i] = this._kernelWeight(distances[i], power, minDist);
+        weightSum += weights[i];
+    }
+    // This happens if every position is outside the support of the kernel
+    if (weightSum === 0) return { indices, distances, count: 0 };
     
     // Weights must be normalized both before and after transformation by weight function
-    weights = IDW._normalizeValues(weights);
+    IDW._normalizeBuffer(weights, count);
 
-    // If custom weight function has been supplied: Transform weights to new values
-    if (this.hasCustomWeightFunction) weights = weights.map(w => this.weightFunction(w));
+    // If custom weight function has been supplied: Transform weights to new values and renormalize
+    if (this.hasCustomWeightFunction) {
+        for (let i = 0; i < count; i++) weights[i] = this.weightFunction(weights[i]);
+        IDW._normalizeBuffer(weights, count);
+    }
 
-    // Just in case: If a weight is non-finite, return the corresponding value. 
-    // This is a hacky solution, what if the weight is negative infinity?
-    for (let i = 0; i < weights.length; i++) {
-        if (!Number.isFinite(weights[i])) return this.values[i];
+    return { indices, distances, count, weightSum, minDist };
+}
+
+/**
+ * Performs leave-one-out cross-validation: each position is left out in turn, and its value is predicted using the remaining positions.
+ * This is done for every combination of power and denominator offset, and the combination with the lowest error is selected.
+ * Residuals are computed as actual value minus predicted value. For multi-channel values, the error is computed across all channels.
+ * Positions that can't be predicted (no other positions inside the search radius) have NaN residuals and are ignored when computing the error.
+ * @param {object} [options] The options used for the cross-validation
+ * @param {Array} [options.powers] The powers to compare, defaults to [this.power]
+ * @param {Array} [options.denominatorOffsets] The denominator offsets to compare, defaults to [this.denominatorOffset]
+ * @param {string} [options.metric] The error metric, either "rmse" (root-mean-square error) or "mae" (mean absolute error), defaults to "rmse"
+ * @param {boolean} [options.apply] Whether the best power and denominator offset should be applied to the IDW, defaults to false
+ * @returns {object} Object containing best (the result with the lowest error) and results (one result per combination), 
+ * where each result contains power, denominatorOffset, error and residuals (one per position, of the same type as the values)
+ */
+IDW.prototype.crossValidate = function(options = {}) {
+    const {
+        powers = [this.power],
+        denominatorOffsets = [this.denominatorOffset],
+        metric = "rmse",
+        apply = false
+    } = options;
+    if (metric !== "rmse" && metric !== "mae") throw new ValidationError("metric must be either \"rmse\" or \"mae\"");
+    if (!Array.isArray(powers) || powers.length === 0 || !powers.every(Number.isFinite)) {
+        throw new ValidationError("powers must be a non-empty array of numbers");
+    }
+    if (!Array.isArray(denominatorOffsets) || denominatorOffsets.length === 0 || !denominatorOffsets.every(Number.isFinite)) {
+        throw new ValidationError("denominatorOffsets must be a non-empty array of numbers");
     }
+    if (this.n < 2) throw new ValidationError("Cross-validation requires at least two positions");
 
-    // Renormalize after transformation
-    if (this.hasCustomWeightFunction) weights = IDW._normalizeValues(weights);
-    
-    // Compute weighted average w_1*z_1 + ... + w_n*z_n
-    const weightedAverage = weights.reduce((sum, w, i) => (sum += w * this.values[i], sum), 0);
-    return weightedAverage;
+    const m = this.channels;
+    const originalOffset = this.denominatorOffset;
+    const predictions = new Float64Array(this.n*m);
+    const results = [];
+    denominatorOffsets.forEach(denominatorOffset => {
+        this.setDenominatorOffset(denominatorOffset);
+        powers.forEach(power => {
+            this._mappedPositions.forEach((p, i) => this._interpolateInto(p, power, predictions, i*m, i));
+
+            const residualBuffer = this._valueBuffer.map((v, i) => v - predictions[i]);
+            const finiteResiduals = residualBuffer.filter(r => !Number.isNaN(r));
+            const error = metric === "rmse" ? 
+                Math.sqrt(IDW.sum(finiteResiduals.map(r => r*r)) / finiteResiduals.length) :
+                IDW.sum(finiteResiduals.map(Math.abs)) / finiteResiduals.length;
+            const residuals = Array(this.n).fill().map((_, i) => this._formatValue(residualBuffer, i*m));
+            results.push({ power, denominatorOffset, error, residuals });
+        });
+    });
+    this.setDenominatorOffset(originalOffset);
+
+    const best = results.reduce((b, r) => r.error < b.error || Number.isNaN(b.error) ? r : b);
+    if (apply) {
+        this.setPower(best.power);
+        this.setDenominatorOffset(best.denominatorOffset);
+    }
+    return { best, results };
+}
+
+/**
+ * Computes the gradient of the interpolation function in a specified position.
+ * See evaluateWithGradient for details.
+ * @param {Array} position The position of interest
+ * @param {float} power The power used when computing the weights, defaults to this.power
+ * @returns {Array} The gradient, with one entry per dimension (one gradient per channel for multi-channel values)
+ */
+IDW.prototype.gradient = function(position, power = this.power) {
+    return this.evaluateWithGradient(position, power).gradient;
+}
+
+/**
+ * Computes the interpolated value and the gradient of the interpolation function in a specified position.
+ * The gradient is computed analytically for the predefined Euclidean, taxicab, chessboard, Minkowski, anisotropic and haversine distances and the predefined kernels, 
+ * including denominatorOffset and the smoothed periodic distance. 
+ * With a custom distance function, kernel function or weight function, or with domain warping, it's approximated by central differences with step size IDW.gradientStep.
+ * At the data positions, where the gradient is not necessarily defined, a zero vector is returned.
+ * @param {Array} position The position of interest
+ * @param {float} power The power used when computing the weights, defaults to this.power
+ * @returns {object} Object containing value and gradient (one entry per dimension, or one gradient per channel for multi-channel values)
+ */
+IDW.prototype.evaluateWithGradient = function(position, power = this.power) {
+    if (typeof position === "number") position = [position];
+    const prepared = this._prepareQuery(position);
+    const gradientBuffer = new Float64Array(this.channels*this.dim);
+    if (this._hasAnalyticGradient()) {
+        this._analyticGradient(prepared, power, gradientBuffer);
+    } else {
+        this._numericalGradient(position, power, gradientBuffer);
+    }
+    const value = this._interpolate(prepared, power);
+    return { value, gradient: this._formatGradient(gradientBuffer) };
+}
+
+/**
+ * The step size (relative to the magnitude of each coordinate, but no smaller than the step itself) used for numerical gradients.
+ */
+IDW.gradientStep = 1e-6;
+
+/**
+ * Checks whether the gradient can be computed analytically with the current distance and weight functions.
+ * @returns {boolean} True if the gradient can be computed analytically
+ */
+IDW.prototype._hasAnalyticGradient = function() {
+    const analyticMetrics = ["euclidean", "taxicab", "chessboard", "minkowski", "anisotropic", "haversine"];
+    return analyticMetrics.includes(this.distanceMetric.name) && this.kernel.name !== "custom" && 
+        !this.hasCustomWeightFunction && this.domainWarp === undefined;
+}
+
+/**
+ * Computes the gradient analytically and stores it in a buffer, on the format [channel 0: d/dx, d/dy,..., channel 1: d/dx,...].
+ * With w_i = kernel(d_i) and v = sum(w_i*v_i) / sum(w_i), the gradient is
+ *     grad(v) = sum(grad(w_i)*(v_i - v)) / sum(w_i), where grad(w_i) = kernel'(d_i)*grad(d_i)
+ * @param {Array} position The prepared position of interest
+ * @param {float} power The power used when computing the weights
+ * @param {Float64Array} gradient The buffer in which the gradient is stored, expected to be filled with zeros
+ */
+IDW.prototype._analyticGradient = function(position, power, gradient) {
+    const m = this.channels;
+    const { indices, count, hits, weightSum, minDist } = this._computeWeights(position, power);
+    if (count === 0) {
+        gradient.fill(NaN);
+        return;
+    }
+    // The gradient at a data position is set to zero
+    if (hits !== undefined) return;
+
+    const value = new Float64Array(m);
+    this._interpolateInto(position, power, value, 0);
+
+    const distanceGradient = Array(this.dim);
+    for (let i = 0; i < count; i++) {
+        const p = this._mappedPositions[indices[i]];
+        const dist = this._distanceGradient(position, p, distanceGradient);
+        if (dist === 0) continue;
+
+        const factor = this._kernelDerivative(dist, power, minDist) / weightSum;
+        for (let c = 0; c < m; c++) {
+            const diff = this._valueBuffer[indices[i]*m + c] - value[c];
+            for (let j = 0; j < this.dim; j++) {
+                gradient[c*this.dim + j] += factor*diff*distanceGradient[j];
+            }
+        }
+    }
+}
+
+/**
+ * Computes the gradient of the distance between position and p with respect to position, for the predefined distance functions.
+ * @param {Array} position The prepared position of interest
+ * @param {Array} p The mapped data position
+ * @param {Array} distanceGradient The array in which the gradient is stored
+ * @returns {float} The distance between position and p
+ */
+IDW.prototype._distanceGradient = function(position, p, distanceGradient) {
+    if (this.distanceMetric.name === "anisotropic") {
+        // grad(|T*diff|) = T^T*T*diff / |T*diff|
+        const matrix = this.distanceMetric.matrix;
+        const transformed = IDW._multiply(matrix, this._anisotropicDifference(position, p));
+        const dist = Math.sqrt(IDW.sum(transformed.map(v => v*v)));
+        for (let j = 0; j < this.dim; j++) {
+            distanceGradient[j] = dist === 0 ? 0 : IDW.sum(matrix.map((row, k) => row[j]*transformed[k])) / dist;
+        }
+        return dist;
+    }
+
+    if (this.distanceMetric.name === "haversine") {
+        // d = 2*R*asin(sqrt(a)), with a = sin^2(dLat/2) + cos(lat1)*cos(lat2)*sin^2(dLon/2), differentiated with respect to position
+        const toRadians = Math.PI / 180;
+        const [lon1, lat1] = [position[0]*toRadians, position[1]*toRadians];
+        const [lon2, lat2] = [p[0]*toRadians, p[1]*toRadians];
+        const sinLon = Math.sin((lon2 - lon1) / 2);
+        const a = Math.pow(Math.sin((lat2 - lat1) / 2), 2) + Math.cos(lat1)*Math.cos(lat2)*sinLon*sinLon;
+        const dist = this._haversineDistance(position, p);
+        const dDist = a > 0 && a < 1 ? this.distanceMetric.radius / Math.sqrt(a*(1 - a))*toRadians : 0;
+        distanceGradient[0] = -dDist*Math.cos(lat1)*Math.cos(lat2)*Math.sin(lon2 - lon1) / 2;
+        distanceGradient[1] = -dDist*(Math.sin(lat2 - lat1) / 2 + Math.sin(lat1)*Math.cos(lat2)*sinLon*sinLon);
+        return dist;
+    }
+
+    // e[j] is the signed (and possibly wrapped/smoothed) coordinate difference, and de[j] its derivative with respect to position[j]
+    const e = Array(this.dim);
+    const de = Array(this.dim);
+    for (let j = 0; j < this.dim; j++) {
+        let d = position[j] - p[j];
+        if (this.isPeriodic && this.extent[j] !== undefined) {
+            const halfWidth = (this.extent[j][1] - this.extent[j][0]) / 2;
+            if (Math.abs(d) > halfWidth) d -= Math.sign(d)*2*halfWidth;
+            const w = this.periodicSmoothing;
+            e[j] = Math.sign(d)*this._periodicAxisDistance(d, j);
+            de[j] = IDW._squareEaseDerivative(Math.abs(d) / halfWidth, w, w);
+        } else {
+            e[j] = d;
+            de[j] = 1;
+        }
+    }
+
+    const dist = this._mappedDistance(position, p);
+    const metric = this.distanceMetric;
+    let maxIndex = 0;
+    if (metric.name === "chessboard") {
+        for (let j = 1; j < this.dim; j++) if (Math.abs(e[j]) > Math.abs(e[maxIndex])) maxIndex = j;
+    }
+    for (let j = 0; j < this.dim; j++) {
+        let derivative;
+        if (dist === 0) {
+            derivative = 0;
+        } else if (metric.name === "euclidean") {
+            derivative = e[j] / dist;
+        } else if (metric.name === "taxicab") {
+            derivative = Math.sign(e[j]);
+        } else if (metric.name === "chessboard") {
+            derivative = j === maxIndex ? Math.sign(e[j]) : 0;
+        } else {
+            const r = metric.power;
+            derivative = Math.sign(e[j])*Math.pow(Math.abs(e[j]) / dist, r - 1);
+        }
+        distanceGradient[j] = derivative*de[j];
+    }
+    return dist;
+}
+
+/**
+ * Approximates the gradient using central differences, and stores it in a buffer on the same format as _analyticGradient.
+ * @param {Array} position The position of interest, before being prepared by _prepareQuery
+ * @param {float} power The power used when computing the weights
+ * @param {Float64Array} gradient The buffer in which the gradient is stored
+ */
+IDW.prototype._numericalGradient = function(position, power, gradient) {
+    const m = this.channels;
+    const forward = new Float64Array(m);
+    const backward = new Float64Array(m);
+    for (let j = 0; j < this.dim; j++) {
+        const h = IDW.gradientStep*Math.max(1, Math.abs(position[j]));
+        const shifted = position.slice();
+        shifted[j] = position[j] + h;
+        this._interpolateInto(this._prepareQuery(shifted), power, forward, 0);
+        shifted[j] = position[j] - h;
+        this._interpolateInto(this._prepareQuery(shifted), power, backward, 0);
+        for (let c = 0; c < m; c++) gradient[c*this.dim + j] = (forward[c] - backward[c]) / (2*h);
+    }
+}
+
+/**
+ * Converts a gradient buffer to an array (single channel), an array of arrays (array values) or an object of arrays (object values).
+ * @param {Float64Array} buffer The gradient buffer
+ * @returns {Array|Array[]|object} The gradient
+ */
+IDW.prototype._formatGradient = function(buffer) {
+    const channelGradients = Array(this.channels).fill().map((_, c) => Array.from(buffer.subarray(c*this.dim, (c + 1)*this.dim)));
+    if (this.valueType === "scalar") return channelGradients[0];
+    if (this.valueType === "array") return channelGradients;
+    const gradient = {};
+    this.valueKeys.forEach((key, c) => gradient[key] = channelGradients[c]);
+    return gradient;
+}
+
+/**
+ * Performs inverse distance weighting in multiple positions.
+ * The result is identical to calling evaluate for each position, but avoids the overhead of returning arrays.
+ * With multi-channel values, the channels are interleaved: channel c of position i is found at i*channels + c.
+ * @param {Array|Array[]} positions The positions of interest, in the same format as the positions passed to the constructor
+ * @param {float} [power] The power used when computing the weights, defaults to this.power
+ * @param {function} [arrayType] The typed array constructor used for the result, either Float64Array or Float32Array, defaults to Float64Array
+ * @returns {Float64Array|Float32Array} The interpolated values, in the same order as positions
+ */
+IDW.prototype.evaluateMany = function(positions, power = this.power, arrayType = Float64Array) {
+    if (!Array.isArray(positions)) throw new ValidationError("positions must be an array");
+    const m = this.channels;
+    const result = new arrayType(positions.length*m);
+    for (let i = 0; i < positions.length; i++) {
+        this._interpolateInto(this._prepareQuery(positions[i]), power, result, i*m);
+    }
+    return result;
+}
+
+/**
+ * Performs inverse distance weighting on a regular grid.
+ * The grid positions along each axis are lower + i*(upper - lower)/resolution for i = 0,..., resolution - 1,
+ * which means that a grid covering the periodic extent tiles perfectly. If endpoint is true, upper is included as the last position.
+ * The values are stored with the first coordinate varying fastest, i.e. the value at grid index [i, j, k,...] is found at
+ * i + shape[0]*(j + shape[1]*(k + ...)). In 2D, this is the same layout as an image buffer with x along the columns.
+ * With multi-channel values, the channels are interleaved, like the RGB channels of an image buffer.
+ * @param {object} options The options describing the grid
+ * @param {Array|Array[]} [options.extent] The extent of the grid, in the format [[xmin, xmax], [ymin, ymax],...] ([xmin, xmax] in 1D), defaults to the periodic extent if every axis is periodic
+ * @param {int|Array} options.resolution The number of grid positions along each axis, either a single integer or one per axis
+ * @param {float} [options.power] The power used when computing the weights, defaults to this.power
+ * @param {boolean} [options.endpoint] Whether the upper bound of the extent is included as the last grid position, defaults to false
+ * @param {function} [options.arrayType] The typed array constructor used for the result, either Float64Array or Float32Array, defaults to Float64Array
+ * @returns {object} Object containing values (the typed array of interpolated values), shape (the number of positions along each axis), 
+ * channels (the number of channels per position) and extent
+ */
+IDW.prototype.evaluateGrid = function(options) {
+    const { power = this.power, arrayType = Float64Array } = options;
+    const grid = this._createGrid(options);
+    const values = new arrayType(grid.size*this.channels);
+    this._evaluateGridRange(grid, power, values, 0, grid.size);
+    return { values, shape: grid.shape, channels: this.channels, extent: grid.extent };
+}
+
+/**
+ * Performs inverse distance weighting on a regular grid, and also computes the diagnostics described in evaluateDetailed at each grid position.
+ * The grid is the same as in evaluateGrid, and each diagnostic is stored in its own typed array with the same layout as the values,
+ * which makes it possible to render e.g. a map of the variance or the nearest distance next to the map of the values.
+ * @param {object} options The options describing the grid, as in evaluateGrid
+ * @returns {object} Object containing values, variance (with interleaved channels like values), nearestDistance, effectiveCount, 
+ * dominantIndex (an Int32Array), shape, channels and extent
+ */
+IDW.prototype.evaluateGridDetailed = function(options) {
+    const { power = this.power, arrayType = Float64Array } = options;
+    const grid = this._createGrid(options);
+    const m = this.channels;
+    const out = {
+        values: new arrayType(grid.size*m),
+        variance: new arrayType(grid.size*m),
+        nearestDistance: new arrayType(grid.size),
+        effectiveCount: new arrayType(grid.size),
+        dominantIndex: new Int32Array(grid.size)
+    };
+    const position = Array(this.dim);
+    for (let index = 0; index < grid.size; index++) {
+        IDW._gridPosition(grid, index, position);
+        this._interpolateDetailedInto(this._prepareQuery(position), power, out, index);
+    }
+    return Object.assign(out, { shape: grid.shape, channels: m, extent: grid.extent });
+}
+
+/**
+ * Validates the grid options and computes the grid shape and spacing.
+ * @param {object} options The options passed to evaluateGrid
+ * @returns {object} The grid, containing extent, shape, steps and size
+ */
+IDW.prototype._createGrid = function(options) {
+    let { extent, resolution, endpoint = false } = options;
+    if (extent === undefined) {
+        const isFullyPeriodic = this.isPeriodic && Array(this.dim).fill().every((_, i) => this.extent[i] !== undefined);
+        if (!isFullyPeriodic) throw new ValidationError("extent must be specified unless every axis has a periodic extent");
+        extent = Array(this.dim).fill().map((_, i) => this.extent[i]);
+    }
+    // If one-dimensional, wrap in outer array
+    if (this.dim === 1 && typeof extent[0] === "number") extent = [extent];
+    if (extent.length !== this.dim) throw new DimensionError("extent must have one entry per dimension");
+
+    const shape = typeof resolution === "number" ? Array(this.dim).fill(resolution) : resolution;
+    if (!Array.isArray(shape) || shape.length !== this.dim || !shape.every(r => Number.isInteger(r) && r >= 1)) {
+        throw new ValidationError("resolution must be a positive integer or an array of positive integers, one per dimension");
+    }
+
+    const steps = shape.map((r, i) => {
+        const divisor = endpoint ? r - 1 : r;
+        return divisor === 0 ? 0 : (extent[i][1] - extent[i][0]) / divisor;
+    });
+    const size = shape.reduce((product, r) => product*r, 1);
+    return { extent, shape, steps, size };
+}
+
+/**
+ * Computes the position of a grid point.
+ * @param {object} grid The grid created by _createGrid
+ * @param {int} index The index of the grid point in the flattened array
+ * @param {Array} position The array in which the position is stored
+ * @returns {Array} The position
+ */
+IDW._gridPosition = function(grid, index, position) {
+    for (let i = 0; i < grid.shape.length; i++) {
+        const r = grid.shape[i];
+        const gridIndex = index % r;
+        position[i] = grid.extent[i][0] + gridIndex*grid.steps[i];
+        index = (index - gridIndex) / r;
+    }
+    return position;
+}
+
+/**
+ * Evaluates the grid points with flattened indices in [start, end), storing the value of grid point index at index - firstIndex in values
+ * (multiplied by the number of channels). This is used by evaluateGrid, and by the workers of the parallel module, which only store a part of the grid.
+ * @param {object} grid The grid created by _createGrid
+ * @param {float} power The power used when computing the weights
+ * @param {Float64Array|Float32Array} values The array in which the values are stored
+ * @param {int} start The first index to evaluate
+ * @param {int} end The index after the last index to evaluate
+ * @param {int} [firstIndex] The index of the grid point stored at the start of values, defaults to 0
+ */
+IDW.prototype._evaluateGridRange = function(grid, power, values, start, end, firstIndex = 0) {
+    const position = Array(this.dim);
+    for (let index = start; index < end; index++) {
+        IDW._gridPosition(grid, index, position);
+        this._interpolateInto(this._prepareQuery(position), power, values, (index - firstIndex)*this.channels);
+    }
 }
 
 module.exports = IDW;
\ No newline at end of file
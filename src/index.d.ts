@@ -0,0 +1,308 @@
+/**
+ * Type definitions for idw
+ */
+
+/** A scalar, an array of channels (e.g. [r, g, b]) or an object of channels (e.g. { u, v }). */
+export type Value = number | number[] | { [key: string]: number };
+
+/** A position of interest: a number in 1D, otherwise an array (or typed array) with one coordinate per dimension. */
+export type Position = number | ArrayLike<number>;
+
+/** The bounds [lower, upper] along an axis. */
+export type Bounds = [number, number];
+
+/**
+ * The periodic extent, mapping each periodic axis to its bounds. Axes that are left out are not periodic,
+ * e.g. { 1: [0, 1] } is only periodic along the y-axis.
+ */
+export type PeriodicExtent = { [axis: number]: Bounds | undefined } | (Bounds | undefined)[];
+
+/** A random number generator returning numbers in [0, 1), such as Math.random. */
+export type RNG = () => number;
+
+/** The gradient of an IDW with values of type V: one array per channel, in the same form as the values. */
+export type Gradient<V extends Value> =
+    V extends number ? number[] :
+    V extends number[] ? number[][] :
+    { [K in keyof V]: number[] };
+
+export type TypedArrayConstructor = Float64ArrayConstructor | Float32ArrayConstructor;
+
+export interface IDWData<V extends Value> {
+    /** The positions, [x₁, x₂,...] in 1D and [[x₁, y₁,...], [x₂, y₂,...],...] otherwise. */
+    positions: number[] | number[][];
+    /** The values, in the same order as the positions. */
+    values: V[];
+}
+
+export interface IDWOptions {
+    /** Specifies the extent of periodicity, if tileability is desired. */
+    periodicExtent?: PeriodicExtent;
+    /** Function applied to each coordinate difference (and the index of its axis) when computing the distance, defaults to d => d*d. */
+    innerDistFunction?: (difference: number, axis: number) => number;
+    /** Function applied to the transformed differences when computing the distance, defaults to arr => Math.sqrt(IDW.sum(arr)). */
+    outerDistFunction?: (differences: number[]) => number;
+    /** Function that computes the weight from the distance and power, defaults to the Shepard kernel. */
+    kernelFunction?: (distance: number, power: number) => number;
+    /** Function that transforms the normalized weights, which are between 0 and 1. */
+    weightFunction?: (weight: number) => number;
+    /** Constant added to the denominator of the Shepard kernel, defaults to 0. */
+    denominatorOffset?: number;
+    /** If specified, only the k nearest positions are used. */
+    neighbors?: number;
+    /** If specified, only the positions within this distance are used. */
+    searchRadius?: number;
+    /** The default power, defaults to 2. */
+    power?: number;
+    /** How missing positions and values are handled, defaults to "error". */
+    missingValues?: "error" | "drop" | "impute";
+}
+
+export interface AnisotropicOptions {
+    /** The length scale along each principal axis. */
+    scales?: number[];
+    /** The angle of the first principal axis (2D), or an orthonormal matrix whose rows are the principal axes. */
+    rotation?: number | number[][];
+    /** The transformation matrix, which can't be combined with scales and rotation. */
+    matrix?: number[][];
+}
+
+export interface GridOptions<A extends TypedArrayConstructor = Float64ArrayConstructor> {
+    /** The extent of the grid, defaults to the periodic extent if every axis is periodic. */
+    extent?: Bounds | Bounds[];
+    /** The number of grid positions along each axis. */
+    resolution: number | number[];
+    /** The power, defaults to the default power. */
+    power?: number;
+    /** Whether the upper bound is included as the last grid position, defaults to false. */
+    endpoint?: boolean;
+    /** The typed array constructor used for the values, defaults to Float64Array. */
+    arrayType?: A;
+}
+
+export interface GridResult<T extends Float64Array | Float32Array = Float64Array> {
+    /** The values, with the first coordinate varying fastest and the channels interleaved. */
+    values: T;
+    shape: number[];
+    channels: number;
+    extent: Bounds[];
+}
+
+export interface CrossValidationOptions {
+    powers?: number[];
+    denominatorOffsets?: number[];
+    metric?: "rmse" | "mae";
+    apply?: boolean;
+}
+
+export interface CrossValidationResult<V extends Value> {
+    power: number;
+    denominatorOffset: number;
+    error: number;
+    residuals: V[];
+}
+
+export interface DetailedValue<V extends Value> {
+    value: V;
+    /** The weighted variance of the contributing values around the value, for each channel. */
+    variance: V;
+    /** The distance to the nearest contributing position, Infinity if there are none. */
+    nearestDistance: number;
+    /** The effective number of contributing positions, 1/(w₁² + ... + wₙ²). */
+    effectiveCount: number;
+    /** The index of the position with the largest weight, -1 if the value is undefined. */
+    dominantIndex: number;
+}
+
+export interface DetailedGridResult<T extends Float64Array | Float32Array = Float64Array> extends GridResult<T> {
+    variance: T;
+    nearestDistance: T;
+    effectiveCount: T;
+    dominantIndex: Int32Array;
+}
+
+/** Anything that can be used as a domain warp: an object whose values have one entry per dimension. */
+export interface WarpField {
+    dim?: number;
+    channels?: number;
+    evaluate(position: Position, power?: number): number | number[];
+}
+
+/** The serialized form of an IDW, as returned by toJSON. */
+export interface SerializedIDW<V extends Value = Value> {
+    type: "IDW";
+    version: number;
+    positions: number[][];
+    values: V[];
+    [option: string]: unknown;
+}
+
+/** An IDW interpolating values of type V. */
+export interface IDW<V extends Value = number> {
+    readonly dim: number;
+    readonly n: number;
+    readonly channels: number;
+    readonly valueType: "scalar" | "array" | "object";
+    readonly isPeriodic: boolean;
+    power: number;
+    denominatorOffset: number;
+    neighbors: number | undefined;
+    searchRadius: number | undefined;
+    missingValues: "error" | "drop" | "impute";
+
+    evaluate(position: Position, power?: number): V;
+    evaluateDetailed(position: Position, power?: number): DetailedValue<V>;
+    evaluateMany<A extends TypedArrayConstructor = Float64ArrayConstructor>(positions: Position[], power?: number, arrayType?: A): InstanceType<A>;
+    evaluateGrid<A extends TypedArrayConstructor = Float64ArrayConstructor>(options: GridOptions<A>): GridResult<InstanceType<A>>;
+    evaluateGridDetailed<A extends TypedArrayConstructor = Float64ArrayConstructor>(options: GridOptions<A>): DetailedGridResult<InstanceType<A>>;
+    gradient(position: Position, power?: number): Gradient<V>;
+    evaluateWithGradient(position: Position, power?: number): { value: V; gradient: Gradient<V> };
+
+    setDistanceFunctions(innerDistFunction: (difference: number, axis: number) => number, outerDistFunction: (differences: number[]) => number): void;
+    useEuclideanDistance(): void;
+    useTaxicabDistance(): void;
+    useChessboardDistance(): void;
+    useMinkowskiDistance(p?: number): void;
+    useAnisotropicDistance(options?: AnisotropicOptions): void;
+    useHaversineDistance(options?: { radius?: number }): void;
+
+    setWeightFunction(weightFunction: (weight: number) => number): void;
+    setKernelFunction(kernelFunction: (distance: number, power: number) => number): void;
+    useShepardWeights(): void;
+    useFrankeLittleWeights(radius: number): void;
+    useGaussianKernel(bandwidth: number): void;
+    useInverseMultiquadric(c: number): void;
+    setDenominatorOffset(denominatorOffset: number): void;
+    setPower(power: number): void;
+    setPeriodicSmoothing(smoothing: number): void;
+    setNeighbors(neighbors: number | undefined): void;
+    setSearchRadius(searchRadius: number | undefined): void;
+    setDomainWarp(warp: WarpField | undefined, strength?: number, power?: number): void;
+
+    crossValidate(options?: CrossValidationOptions): { best: CrossValidationResult<V>; results: CrossValidationResult<V>[] };
+
+    addPoint(position: Position, value: V): void;
+    removePoint(index: number): void;
+    updateValue(index: number, value: V): void;
+    getData(): { positions: number[][]; values: V[] };
+
+    toJSON(): SerializedIDW<V>;
+    toBinary(): ArrayBuffer;
+}
+
+/**
+ * The IDW constructor. Numeric values get the type IDW<number>, since a single generic constructor would infer literal types such as IDW<1 | 2 | 3>.
+ */
+export interface IDWConstructor {
+    new (data: IDWData<number>, options?: IDWOptions): IDW<number>;
+    new <V extends Value>(data: IDWData<V>, options?: IDWOptions): IDW<V>;
+    readonly prototype: IDW<Value>;
+
+    /** The relative step size used when the gradient is approximated numerically. */
+    gradientStep: number;
+    /** Computes the sum of an array. */
+    sum(values: number[]): number;
+    fromJSON<V extends Value = number>(json: SerializedIDW<V> | string): IDW<V>;
+    fromBinary<V extends Value = number>(buffer: ArrayBuffer | ArrayBufferView): IDW<V>;
+}
+
+export declare const IDW: IDWConstructor;
+
+export interface NoiseOptions {
+    /** The number of random positions, at least 2. */
+    n: number;
+    /** The dimensionality of the noise function. */
+    dimensions: number;
+    /** The lower bound for the generated values, defaults to 0. */
+    minValue?: number;
+    /** The upper bound for the generated values, defaults to 1. */
+    maxValue?: number;
+    /** The extent from which the positions are sampled, defaults to [-1, 1] along each axis. */
+    extent?: Bounds | Bounds[];
+    /** Whether the noise is periodic, either for every axis or one boolean per axis, defaults to false. */
+    periodic?: boolean | boolean[];
+    /** Appends a periodic time axis with extent [0, period] (period defaults to 1). */
+    loop?: boolean | { period?: number };
+    /** Domain warps the noise by another noise function. */
+    warp?: { n?: number; strength?: number; power?: number };
+}
+
+export interface NoiseOptionsWithValueFunction<V extends Value> extends NoiseOptions {
+    /** Computes the value at each random position, which can be an array or object for multi-channel noise. */
+    valueFunction: (position: number[]) => V;
+}
+
+export declare function generateNoiseIDW<V extends Value>(options: NoiseOptionsWithValueFunction<V>, rng?: RNG | number): IDW<V>;
+export declare function generateNoiseIDW(options: NoiseOptions, rng?: RNG | number): IDW<number>;
+export declare namespace generateNoiseIDW {
+    /** The class behind generateNoiseIDW, available at runtime as generateNoiseIDW.NoiseIDW. */
+    class NoiseIDW<V extends Value = number> {
+        constructor(options: NoiseOptions | NoiseOptionsWithValueFunction<V>, rng?: RNG | number);
+        /** Creates the mulberry32 RNG used for integer seeds, which returns numbers in [min, max) (defaults to [0, 1)). */
+        static _generateRNG(seed: number): (min?: number, max?: number) => number;
+
+        idw: IDW<V>;
+        /** The warp noise function, if options.warp was specified. */
+        warp?: NoiseIDW<number[]>;
+        n: number;
+        dim: number;
+        spatialDim: number;
+        extent: Bounds[];
+        periodic: boolean[];
+        positions: number[][];
+        values: V[];
+    }
+}
+
+export interface FractalNoiseOptions {
+    /** The number of random positions in the first octave. */
+    n: number;
+    dimensions: number;
+    /** Defaults to 4. */
+    octaves?: number;
+    /** Defaults to 2. */
+    lacunarity?: number;
+    /** Defaults to 0.5. */
+    persistence?: number;
+    minValue?: number;
+    maxValue?: number;
+    extent?: Bounds | Bounds[];
+    periodic?: boolean | boolean[];
+    neighbors?: number;
+}
+
+export declare function generateFractalNoiseIDW(options: FractalNoiseOptions, rng?: RNG | number): generateFractalNoiseIDW.FractalNoiseIDW;
+export declare namespace generateFractalNoiseIDW {
+    /** The class behind generateFractalNoiseIDW, available at runtime as generateFractalNoiseIDW.FractalNoiseIDW. */
+    class FractalNoiseIDW {
+        constructor(options: FractalNoiseOptions, rng?: RNG | number);
+
+        readonly dim: number;
+        power: number;
+        minValue: number;
+        maxValue: number;
+        amplitudes: number[];
+        weights: number[];
+
+        setPower(power: number): void;
+        evaluate(position: Position, power?: number): number;
+        gradient(position: Position, power?: number): number[];
+        evaluateMany<A extends TypedArrayConstructor = Float64ArrayConstructor>(positions: Position[], power?: number, arrayType?: A): InstanceType<A>;
+        evaluateGrid<A extends TypedArrayConstructor = Float64ArrayConstructor>(options: GridOptions<A>): GridResult<InstanceType<A>>;
+        getOctaves(): IDW<number>[];
+    }
+}
+
+/** Anything that can be evaluated on a grid, such as an IDW or a FractalNoiseIDW. */
+export interface GridField {
+    dim?: number;
+    power?: number;
+    evaluateGrid(options: GridOptions): GridResult;
+}
+
+export class IDWError extends Error {}
+export class ValidationError extends IDWError {}
+export class DimensionError extends ValidationError {}
+export class PeriodicExtentError extends ValidationError {}
+export class MissingValueError extends ValidationError {}
+export class SerializationError extends IDWError {}
@@ -1,6 +1,8 @@
 const IDW = require("./idw");
 const generateNoiseIDW = require("./generate-noise-idw");
+const generateFractalNoiseIDW = require("./generate-fractal-noise-idw");
+const errors = require("./errors");
 
 module.exports = {
-    IDW, generateNoiseIDW
+    IDW, generateNoiseIDW, generateFractalNoiseIDW, ...errors
 }
\ No newline at end of file
@@ -0,0 +1,16 @@
+// ES module entry point, which re-exports the CommonJS build so that both share the same classes (and instanceof works across them)
+import idw from "./index.js";
+
+export const {
+    IDW,
+    generateNoiseIDW,
+    generateFractalNoiseIDW,
+    IDWError,
+    ValidationError,
+    DimensionError,
+    PeriodicExtentError,
+    MissingValueError,
+    SerializationError
+} = idw;
+
+export default idw;
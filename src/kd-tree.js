@@ -0,0 +1,175 @@
+/**
+ * k-d tree module, used for accelerating neighbour searches
+ * @module kd-tree
+ */
+
+/**
+ * KDTree constructor. Builds a balanced k-d tree by recursively splitting the positions at the median
+ * along the axis with the largest spread. The tree only stores the bounding box of each node, which means
+ * that the distance function is supplied when searching, not when building.
+ * @param {Array[]} positions The positions to be indexed, in the format [[x1, y1,...], [x2, y2,...],...]
+ * @constructor
+ */
+function KDTree(positions) {
+    this.positions = positions;
+    this.dim = positions.length > 0 ? positions[0].length : 0;
+    this._rebuild();
+}
+
+/**
+ * Builds the tree from every position.
+ */
+KDTree.prototype._rebuild = function() {
+    const indices = this.positions.map((_, i) => i);
+    this.root = indices.length > 0 ? this._build(indices) : null;
+    // The number of positions when the tree was last built, used by insert to decide when it's too unbalanced
+    this.size = indices.length;
+    this.builtSize = this.size;
+}
+
+/**
+ * The maximum number of positions stored in a leaf node.
+ */
+KDTree.leafSize = 8;
+
+/**
+ * Recursively builds the node containing the positions with the specified indices.
+ * @param {Array} indices The indices of the positions contained in the node
+ * @returns {object} The node, on the format { min, max, indices } (leaf) or { min, max, left, right }
+ */
+KDTree.prototype._build = function(indices) {
+    const min = Array(this.dim).fill(Infinity);
+    const max = Array(this.dim).fill(-Infinity);
+    indices.forEach(index => {
+        this.positions[index].forEach((coordinate, i) => {
+            if (coordinate < min[i]) min[i] = coordinate;
+            if (coordinate > max[i]) max[i] = coordinate;
+        });
+    });
+
+    if (indices.length <= KDTree.leafSize) return { min, max, indices };
+
+    // Split along the axis with the largest spread
+    let axis = 0;
+    for (let i = 1; i < this.dim; i++) {
+        if (max[i] - min[i] > max[axis] - min[axis]) axis = i;
+    }
+    indices.sort((a, b) => this.positions[a][axis] - this.positions[b][axis]);
+    const mid = indices.length >> 1;
+
+    return {
+        min, max,
+        left: this._build(indices.slice(0, mid)),
+        right: this._build(indices.slice(mid))
+    };
+}
+
+/**
+ * Inserts a position that has been appended to the positions array, without rebuilding the whole tree.
+ * The position is added to the leaf whose bounding box grows the least, and leaves that become too large are split.
+ * Since this makes the tree less balanced, it's rebuilt once the number of positions has doubled since it was last built.
+ * @param {int} index The index of the position
+ */
+KDTree.prototype.insert = function(index) {
+    this.size++;
+    if (this.root === null || this.size > 2*this.builtSize) {
+        this._rebuild();
+        return;
+    }
+    this.root = this._insert(this.root, index);
+}
+
+/**
+ * Recursively inserts a position into a node, see insert.
+ * @param {object} node The node
+ * @param {int} index The index of the position
+ * @returns {object} The node, or the subtree that replaces it if it was a leaf that was split
+ */
+KDTree.prototype._insert = function(node, index) {
+    const position = this.positions[index];
+    position.forEach((coordinate, i) => {
+        if (coordinate < node.min[i]) node.min[i] = coordinate;
+        if (coordinate > node.max[i]) node.max[i] = coordinate;
+    });
+
+    if (node.indices !== undefined) {
+        node.indices.push(index);
+        return node.indices.length > 2*KDTree.leafSize ? this._build(node.indices) : node;
+    }
+
+    if (KDTree._enlargement(node.left, position) <= KDTree._enlargement(node.right, position)) {
+        node.left = this._insert(node.left, index);
+    } else {
+        node.right = this._insert(node.right, index);
+    }
+    return node;
+}
+
+/**
+ * Computes how much the bounding box of a node must grow to contain a position, as the sum over the axes.
+ * @param {object} node The node
+ * @param {Array} position The position
+ * @returns {float} The enlargement, 0 if the position is inside the bounding box
+ */
+KDTree._enlargement = function(node, position) {
+    let enlargement = 0;
+    position.forEach((coordinate, i) => {
+        enlargement += Math.max(0, node.min[i] - coordinate) + Math.max(0, coordinate - node.max[i]);
+    });
+    return enlargement;
+}
+
+/**
+ * Finds the k nearest positions that are within the search radius, sorted by increasing distance.
+ * For the search to be exact, boxDistance must never exceed the distance to any position inside the box.
+ * @param {function} pointDistance Function that computes the distance to the position with the specified index
+ * @param {function} boxDistance Function that computes a lower bound for the distance to any position inside the bounding box [min, max]
+ * @param {int} [k] The maximum number of positions to return, defaults to Infinity
+ * @param {float} [radius] The maximum distance of the positions to return, defaults to Infinity
+ * @returns {object} Object containing the arrays indices and distances
+ */
+KDTree.prototype.search = function(pointDistance, boxDistance, k = Infinity, radius = Infinity) {
+    const result = { indices: [], distances: [] };
+    if (this.root === null) return result;
+
+    const visit = (node, bound) => {
+        const { indices, distances } = result;
+        const isFull = indices.length >= k;
+        if (bound > radius || (isFull && bound >= distances[distances.length - 1])) return;
+
+        if (node.indices !== undefined) {
+            node.indices.forEach(index => {
+                const dist = pointDistance(index);
+                if (dist > radius) return;
+                if (indices.length >= k && dist >= distances[distances.length - 1]) return;
+
+                // Insert while keeping the result sorted by distance
+                let j = distances.length;
+                while (j > 0 && distances[j - 1] > dist) j--;
+                indices.splice(j, 0, index);
+                distances.splice(j, 0, dist);
+                if (indices.length > k) {
+                    indices.pop();
+                    distances.pop();
+                }
+            });
+            return;
+        }
+
+        // Visit the closest child first, as this makes it more likely that the other can be skipped
+        const leftBound = boxDistance(node.left.min, node.left.max);
+        const rightBound = boxDistance(node.right.min, node.right.max);
+        if (leftBound <= rightBound) {
+            visit(node.left, leftBound);
+            visit(node.right, rightBound);
+        } else {
+            visit(node.right, rightBound);
+            visit(node.left, leftBound);
+        }
+    }
+
+    visit(this.root, boxDistance(this.root.min, this.root.max));
+    return result;
+}
+
+module.exports = KDTree;
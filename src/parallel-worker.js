@@ -0,0 +1,38 @@
+const IDW = require("./idw");
+
+/**
+ * Worker script used by the parallel module. In Node.js it's run by worker_threads, and in the browser it must be bundled
+ * and loaded as a Web Worker, see the workerURL option of evaluateGridParallel.
+ * @module parallel-worker
+ */
+
+let idw;
+
+/**
+ * Handles a message from the main thread, which either initializes the IDW or evaluates a range of grid points.
+ * @param {object} message The message, either { type: "init", state } or { type: "evaluate", grid, power, start, end }
+ * @returns {object} The reply containing start and values, or undefined for init messages
+ */
+function handleMessage(message) {
+    if (message.type === "init") {
+        idw = IDW.fromJSON(message.state);
+        return undefined;
+    }
+    const { grid, power, start, end } = message;
+    const values = new Float64Array((end - start)*idw.channels);
+    idw._evaluateGridRange(grid, power, values, start, end, start);
+    return { start, values };
+}
+
+if (typeof self !== "undefined" && typeof self.postMessage === "function") {
+    self.onmessage = event => {
+        const reply = handleMessage(event.data);
+        if (reply !== undefined) self.postMessage(reply, [reply.values.buffer]);
+    }
+} else {
+    const { parentPort } = require("worker_threads");
+    parentPort.on("message", message => {
+        const reply = handleMessage(message);
+        if (reply !== undefined) parentPort.postMessage(reply, [reply.values.buffer]);
+    });
+}
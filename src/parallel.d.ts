@@ -0,0 +1,19 @@
+/**
+ * Type definitions for idw/src/parallel
+ */
+
+import { IDW, Value, GridOptions, GridResult, TypedArrayConstructor } from "./index";
+
+export interface ParallelGridOptions<A extends TypedArrayConstructor = Float64ArrayConstructor> extends GridOptions<A> {
+    /** Defaults to the number of logical processors. */
+    workers?: number;
+    /** The number of grid points per message to a worker. */
+    chunkSize?: number;
+    /** The URL of a bundled parallel-worker.js, required in the browser. */
+    workerURL?: string | URL;
+}
+
+export declare function evaluateGridParallel<V extends Value, A extends TypedArrayConstructor = Float64ArrayConstructor>(
+    idw: IDW<V>,
+    options: ParallelGridOptions<A>
+): Promise<GridResult<InstanceType<A>>>;
@@ -0,0 +1,138 @@
+const IDW = require("./idw");
+const { ValidationError, SerializationError } = require("./errors");
+
+/**
+ * Parallel evaluation module, which splits grid evaluations across workers (worker_threads in Node.js, Web Workers in the browser).
+ * @module parallel
+ */
+
+/**
+ * Checks whether the code is running in Node.js.
+ * @returns {boolean} True if running in Node.js
+ */
+function _isNode() {
+    return typeof process !== "undefined" && process.versions !== undefined && process.versions.node !== undefined;
+}
+
+/**
+ * Returns the number of logical processors, which is the default number of workers.
+ * @returns {int} The number of logical processors
+ */
+function _defaultWorkerCount() {
+    if (_isNode()) {
+        const os = require("os");
+        return typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length;
+    }
+    return typeof navigator !== "undefined" && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 4;
+}
+
+/**
+ * Creates a worker running parallel-worker.js, with a common interface for worker_threads and Web Workers.
+ * @param {string|URL} [workerURL] The URL of the bundled worker script, required in the browser
+ * @returns {object} Object containing the methods post(message), onMessage(callback), onError(callback), onExit(callback) and terminate()
+ */
+function _createWorker(workerURL) {
+    if (_isNode() && workerURL === undefined) {
+        const { Worker } = require("worker_threads");
+        const worker = new Worker(require("path").join(__dirname, "parallel-worker.js"));
+        return {
+            post: message => worker.postMessage(message),
+            onMessage: callback => worker.on("message", callback),
+            onError: callback => worker.on("error", callback),
+            onExit: callback => worker.on("exit", callback),
+            terminate: () => worker.terminate()
+        };
+    }
+    if (workerURL === undefined) throw new ValidationError("workerURL must be specified when not running in Node.js");
+    const worker = new Worker(workerURL);
+    return {
+        post: message => worker.postMessage(message),
+        onMessage: callback => worker.addEventListener("message", event => callback(event.data)),
+        onError: callback => worker.addEventListener("error", event => callback(event.error || new Error(event.message))),
+        // Web Workers can only be stopped by terminate, or by closing themselves, which they never do
+        onExit: () => {},
+        terminate: () => worker.terminate()
+    };
+}
+
+/**
+ * Performs inverse distance weighting on a regular grid using several workers, see IDW.prototype.evaluateGrid.
+ * The IDW is sent to the workers using toJSON, which means that it can't use custom distance, kernel or weight functions.
+ * The grid is split into chunks of consecutive grid points, and the result is identical to that of evaluateGrid.
+ * @param {IDW} idw The IDW to evaluate
+ * @param {object} options The options describing the grid, as in IDW.prototype.evaluateGrid
+ * @param {int} [options.workers] The number of workers, defaults to the number of logical processors
+ * @param {int} [options.chunkSize] The number of grid points evaluated per message to a worker, defaults to splitting the grid into 4 chunks per worker
+ * @param {string|URL} [options.workerURL] The URL of a bundled version of parallel-worker.js, required in the browser.
+ * In Node.js, it defaults to the local parallel-worker.js
+ * @returns {Promise} Promise that resolves to an object containing values, shape, channels and extent
+ */
+function evaluateGridParallel(idw, options) {
+    return new Promise((resolve, reject) => {
+        if (!(idw instanceof IDW)) throw new ValidationError("idw must be an IDW object");
+        const { power = idw.power, arrayType = Float64Array, workerURL } = options;
+        const workerCount = options.workers !== undefined ? options.workers : _defaultWorkerCount();
+        if (!(Number.isInteger(workerCount) && workerCount >= 1)) throw new ValidationError("workers must be a positive integer");
+        if (typeof power !== "number") throw new ValidationError("power must be a number");
+
+        let state;
+        try {
+            state = idw.toJSON();
+        } catch (error) {
+            throw new SerializationError(`The IDW can't be sent to workers: ${error.message}. Use evaluateGrid instead`);
+        }
+
+        const grid = idw._createGrid(options);
+        const channels = idw.channels;
+        const values = new arrayType(grid.size*channels);
+        const chunkSize = options.chunkSize !== undefined ? options.chunkSize : Math.ceil(grid.size / (4*workerCount));
+        if (!(Number.isInteger(chunkSize) && chunkSize >= 1)) throw new ValidationError("chunkSize must be a positive integer");
+
+        const chunks = [];
+        for (let start = 0; start < grid.size; start += chunkSize) chunks.push([start, Math.min(start + chunkSize, grid.size)]);
+        const workers = [];
+        let remaining = chunks.length;
+        let isDone = false;
+
+        const finish = error => {
+            if (isDone) return;
+            isDone = true;
+            workers.forEach(worker => worker.terminate());
+            if (error !== undefined) reject(error);
+            else resolve({ values, shape: grid.shape, channels, extent: grid.extent });
+        }
+        // Each worker gets a new chunk as soon as it has finished the previous one
+        const sendChunk = worker => {
+            const chunk = chunks.shift();
+            if (chunk === undefined) return;
+            worker.post({ type: "evaluate", grid, power, start: chunk[0], end: chunk[1] });
+        }
+
+        const startedWorkers = Math.min(workerCount, chunks.length);
+        try {
+            for (let i = 0; i < startedWorkers; i++) {
+                const worker = _createWorker(workerURL);
+                workers.push(worker);
+                worker.onMessage(reply => {
+                    // Copying into values gives the same rounding as evaluateGrid when arrayType is Float32Array
+                    values.set(reply.values, reply.start*channels);
+                    remaining--;
+                    if (remaining === 0) finish();
+                    else sendChunk(worker);
+                });
+                worker.onError(finish);
+                // A worker that exits without an error event (e.g. process.exit, running out of memory) would otherwise leave the promise pending.
+                // Exits after finish are caused by terminate, and are ignored
+                worker.onExit(code => finish(new Error(`A worker exited unexpectedly with exit code ${code}`)));
+                worker.post({ type: "init", state });
+                sendChunk(worker);
+            }
+        } catch (error) {
+            finish(error);
+        }
+    });
+}
+
+module.exports = {
+    evaluateGridParallel
+};
@@ -0,0 +1,124 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { IDW, generateNoiseIDW } = require("../src");
+
+/**
+ * Returns the channels of a value returned by evaluate, in the interleaved order used by evaluateMany and evaluateGrid.
+ */
+function channels(value) {
+    if (typeof value === "number") return [value];
+    return Array.isArray(value) ? value : Object.values(value);
+}
+
+/**
+ * Computes the positions of a grid in the order used by evaluateGrid, with the first coordinate varying fastest.
+ */
+function gridPositions(extent, shape, endpoint = false) {
+    const steps = shape.map((r, i) => {
+        const divisor = endpoint ? r - 1 : r;
+        return divisor === 0 ? 0 : (extent[i][1] - extent[i][0]) / divisor;
+    });
+    let positions = [[]];
+    shape.forEach((r, i) => {
+        const coordinates = Array(r).fill().map((_, j) => extent[i][0] + j*steps[i]);
+        // Each new coordinate varies slower than the previous ones
+        positions = coordinates.flatMap(x => positions.map(p => p.concat([x])));
+    });
+    return positions;
+}
+
+const fields = {
+    "scalar values": () => generateNoiseIDW({ n: 30, dimensions: 2 }, 31),
+    "array values with neighbors": () => {
+        const idw = generateNoiseIDW({ n: 40, dimensions: 3, valueFunction: p => [p[0], p[1]*p[2]] }, 32);
+        idw.setNeighbors(6);
+        return idw;
+    },
+    "object values with a periodic extent": () => {
+        const data = generateNoiseIDW({ n: 30, dimensions: 2, valueFunction: p => ({ u: p[0], v: p[1] }) }, 33).getData();
+        const idw = new IDW(data, { periodicExtent: [[-1, 1], [-1, 1]] });
+        idw.useGaussianKernel(0.4);
+        return idw;
+    },
+    "a search radius that leaves positions empty": () => {
+        const idw = new IDW(generateNoiseIDW({ n: 10, dimensions: 2 }, 34).getData(), { searchRadius: 0.6 });
+        idw.useTaxicabDistance();
+        return idw;
+    },
+    "a domain warp and a denominator offset": () => {
+        const idw = generateNoiseIDW({ n: 30, dimensions: 2, periodic: true, warp: { strength: 0.3 } }, 35);
+        idw.setDenominatorOffset(0.01);
+        return idw;
+    }
+};
+
+describe("evaluateMany and evaluateGrid", () => {
+    Object.entries(fields).forEach(([name, createField]) => {
+        const idw = createField();
+        const extent = Array(idw.dim).fill().map((_, i) => [-1.25 + 0.1*i, 1.1]);
+        const shape = Array(idw.dim).fill().map((_, i) => 4 + i);
+
+        it(`evaluateMany matches evaluate with ${name}`, () => {
+            const positions = gridPositions(extent, shape, true);
+            const expected = positions.flatMap(p => channels(idw.evaluate(p, 3)));
+            assert.deepStrictEqual(Array.from(idw.evaluateMany(positions, 3)), expected);
+            assert.deepStrictEqual(Array.from(idw.evaluateMany(positions, 3, Float32Array)), expected.map(Math.fround));
+        });
+
+        it(`evaluateGrid matches evaluate with ${name}`, () => {
+            [false, true].forEach(endpoint => {
+                const grid = idw.evaluateGrid({ extent, resolution: shape, endpoint });
+                const positions = gridPositions(extent, shape, endpoint);
+                assert.deepStrictEqual(Array.from(grid.values), positions.flatMap(p => channels(idw.evaluate(p))));
+            });
+        });
+
+        it(`evaluateGridDetailed matches evaluateDetailed with ${name}`, () => {
+            const grid = idw.evaluateGridDetailed({ extent, resolution: shape });
+            gridPositions(extent, shape).forEach((p, index) => {
+                const detailed = idw.evaluateDetailed(p);
+                const m = idw.channels;
+                assert.deepStrictEqual(Array.from(grid.values.subarray(index*m, (index + 1)*m)), channels(detailed.value));
+                assert.deepStrictEqual(Array.from(grid.variance.subarray(index*m, (index + 1)*m)), channels(detailed.variance));
+                assert.strictEqual(grid.nearestDistance[index], detailed.nearestDistance);
+                assert.strictEqual(grid.effectiveCount[index], detailed.effectiveCount);
+                assert.strictEqual(grid.dominantIndex[index], detailed.dominantIndex);
+            });
+        });
+    });
+
+    it("evaluateMany matches evaluate for one-dimensional positions given as numbers", () => {
+        const idw = new IDW({ positions: [0, 0.3, 1, 2.5], values: [1, -2, 0.5, 4] });
+        const positions = [-1, 0, 0.15, 0.3, 1.7, 3];
+        assert.deepStrictEqual(Array.from(idw.evaluateMany(positions)), positions.map(x => idw.evaluate(x)));
+        assert.deepStrictEqual(Array.from(idw.evaluateGrid({ extent: [0, 3], resolution: 6 }).values),
+            [0, 0.5, 1, 1.5, 2, 2.5].map(x => idw.evaluate(x)));
+    });
+});
+
+describe("generateNoiseIDW with loop", () => {
+    const configurations = [
+        { dimensions: 2, periodic: true, loop: true },
+        { dimensions: 2, loop: { period: 2.5 }, warp: { strength: 0.3 } },
+        { dimensions: 1, extent: [-1, 1], loop: { period: 0.3 } },
+        { dimensions: 3, periodic: [true, false, true], loop: { period: 7 }, warp: { n: 10, strength: 0.5 } }
+    ];
+
+    configurations.forEach(options => {
+        it(`gives a frame N that is exactly equal to frame 0 with ${JSON.stringify(options)}`, () => {
+            const idw = generateNoiseIDW(Object.assign({ n: 30 }, options), 41);
+            const period = options.loop.period !== undefined ? options.loop.period : 1;
+            const points = [[-0.9, 0.3, 0.5], [0.2, -0.75, -1], [0.6, 0.6, 0.1]].map(p => p.slice(0, options.dimensions));
+            [7, 24, 60, 1000].forEach(frames => {
+                const time = f => f/frames*period;
+                const first = points.map(p => p.concat([time(0)]));
+                const last = points.map(p => p.concat([time(frames)]));
+                assert.deepStrictEqual(last.map(p => idw.evaluate(p)), first.map(p => idw.evaluate(p)));
+                assert.deepStrictEqual(idw.evaluateMany(last), idw.evaluateMany(first));
+            });
+            // The field changes over time, so the comparison isn't trivial
+            const middle = points.map(p => idw.evaluate(p.concat([period / 2])));
+            assert.notDeepStrictEqual(middle, points.map(p => idw.evaluate(p.concat([0]))));
+        });
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { IDW, generateNoiseIDW } = require("../src");
+
+/**
+ * Approximates the gradient of the interpolated value by central differences.
+ */
+function centralDifferences(idw, position) {
+    const h = 1e-6;
+    return position.map((_, j) => {
+        const forward = position.slice();
+        const backward = position.slice();
+        forward[j] += h;
+        backward[j] -= h;
+        return (idw.evaluate(forward) - idw.evaluate(backward)) / (2*h);
+    });
+}
+
+/**
+ * Asserts that the analytic gradient agrees with central differences at every query position.
+ */
+function assertGradients(idw, queries) {
+    assert.ok(idw._hasAnalyticGradient());
+    queries.forEach(position => {
+        const analytic = idw.gradient(position);
+        const numerical = centralDifferences(idw, position);
+        analytic.forEach((g, j) => {
+            const tolerance = 1e-5*(1 + Math.abs(g));
+            assert.ok(Math.abs(g - numerical[j]) <= tolerance, `${g} != ${numerical[j]} along axis ${j} at [${position}]`);
+        });
+    });
+}
+
+const metrics = {
+    euclidean: idw => idw.useEuclideanDistance(),
+    taxicab: idw => idw.useTaxicabDistance(),
+    chessboard: idw => idw.useChessboardDistance(),
+    minkowski: idw => idw.useMinkowskiDistance(3),
+    anisotropic: idw => idw.useAnisotropicDistance({ matrix: [[2, 0.5], [0.5, 1]] })
+};
+
+const kernels = {
+    shepard: idw => idw.useShepardWeights(),
+    "shepard with a denominator offset": idw => {
+        idw.useShepardWeights();
+        idw.setDenominatorOffset(0.05);
+    },
+    frankeLittle: idw => idw.useFrankeLittleWeights(1.5),
+    gaussian: idw => idw.useGaussianKernel(0.3),
+    inverseMultiquadric: idw => idw.useInverseMultiquadric(0.2)
+};
+
+// With smoothing 0, the periodic distance is used without _squareEase
+const periodicities = {
+    "no periodic extent": {},
+    "a periodic extent with smoothing": { periodicExtent: [[-1, 1], [-1, 1]], smoothing: 0.2 },
+    "a periodic extent without smoothing": { periodicExtent: [[-1, 1], [-1, 1]], smoothing: 0 },
+    "a sparse periodic extent": { periodicExtent: { 1: [-1, 1] }, smoothing: 0.1 }
+};
+
+describe("analytic gradient", () => {
+    const data = generateNoiseIDW({ n: 25, dimensions: 2 }, 21).getData();
+    // Includes positions near the periodic boundaries, where the smoothing applies
+    const queries = [[0.13, -0.42], [-0.87, 0.61], [0.96, -0.97], [-0.99, 0.05], [0.4, 0.98]];
+
+    Object.entries(metrics).forEach(([metric, useMetric]) => {
+        Object.entries(kernels).forEach(([kernel, useKernel]) => {
+            Object.entries(periodicities).forEach(([periodicity, { periodicExtent, smoothing }]) => {
+                it(`matches central differences with the ${metric} distance, the ${kernel} kernel and ${periodicity}`, () => {
+                    const idw = new IDW(data, { periodicExtent, power: 2.5 });
+                    if (smoothing !== undefined) idw.setPeriodicSmoothing(smoothing);
+                    useMetric(idw);
+                    useKernel(idw);
+                    assertGradients(idw, queries);
+                });
+            });
+        });
+    });
+
+    it("matches central differences with the haversine distance", () => {
+        const positions = generateNoiseIDW({ n: 25, dimensions: 2, extent: [[-180, 180], [-80, 80]] }, 22).getData().positions;
+        const idw = new IDW({ positions, values: positions.map(p => Math.sin(p[0] / 30) + p[1] / 90) });
+        idw.useHaversineDistance();
+        assertGradients(idw, [[12.5, 40.3], [-120.2, -33.1], [170.4, 5.5]]);
+    });
+
+    it("matches central differences for array values", () => {
+        const idw = generateNoiseIDW({ n: 25, dimensions: 2, periodic: true, valueFunction: p => [p[0], p[1]*p[1]] }, 23);
+        idw.useMinkowskiDistance(1.5);
+        queries.forEach(position => {
+            const analytic = idw.gradient(position);
+            const numerical = [0, 1].map(c => centralDifferences({ evaluate: p => idw.evaluate(p)[c] }, position));
+            analytic.forEach((channel, c) => channel.forEach((g, j) => {
+                assert.ok(Math.abs(g - numerical[c][j]) <= 1e-5*(1 + Math.abs(g)), `${g} != ${numerical[c][j]}`);
+            }));
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { IDW, generateNoiseIDW } = require("../src");
+const KDTree = require("../src/kd-tree");
+
+/**
+ * Finds the neighbors of a position by sorting every position by distance, as a reference for the k-d tree.
+ */
+function bruteForce(distance, count, position, k = Infinity, radius = Infinity) {
+    const sorted = Array(count).fill().map((_, i) => ({ index: i, distance: distance(position, i) }))
+        .filter(entry => entry.distance <= radius)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k);
+    return { indices: sorted.map(entry => entry.index), distances: sorted.map(entry => entry.distance) };
+}
+
+const metrics = {
+    euclidean: idw => idw.useEuclideanDistance(),
+    taxicab: idw => idw.useTaxicabDistance(),
+    chessboard: idw => idw.useChessboardDistance(),
+    minkowski: idw => idw.useMinkowskiDistance(3.5),
+    anisotropic: idw => idw.useAnisotropicDistance({ matrix: [[3, 1, 0], [1, 2, 0.5], [0, 0.5, 1]] })
+};
+
+const extents = {
+    "no periodic extent": undefined,
+    "a periodic extent": [[-1, 1], [-1, 1], [-1, 1]],
+    "a sparse periodic extent": { 0: [-1, 1], 2: [-1, 1] }
+};
+
+const limits = [{ neighbors: 1 }, { neighbors: 7 }, { searchRadius: 0.4 }, { neighbors: 5, searchRadius: 0.6 }];
+
+describe("k-d tree", () => {
+    const data = generateNoiseIDW({ n: 150, dimensions: 3 }, 11).getData();
+    const queries = generateNoiseIDW({ n: 25, dimensions: 3, extent: [[-1.5, 1.5], [-1.5, 1.5], [-1.5, 1.5]] }, 12).getData().positions;
+
+    Object.entries(metrics).forEach(([metric, useMetric]) => {
+        Object.entries(extents).forEach(([extentName, periodicExtent]) => {
+            it(`finds the same neighbors as a brute-force search with the ${metric} distance and ${extentName}`, () => {
+                limits.forEach(({ neighbors, searchRadius }) => {
+                    const idw = new IDW(data, { periodicExtent, neighbors, searchRadius });
+                    useMetric(idw);
+                    const distance = (position, i) => idw._mappedDistance(position, idw._mappedPositions[i]);
+                    queries.forEach(query => {
+                        const position = idw._prepareQuery(query);
+                        assert.deepStrictEqual(
+                            idw._findNeighbours(position),
+                            bruteForce(distance, idw.n, position, neighbors, searchRadius)
+                        );
+                    });
+                });
+            });
+        });
+    });
+
+    it("finds the same neighbors as a brute-force search after inserting positions", () => {
+        const positions = data.positions.slice(0, 3);
+        const tree = new KDTree(positions);
+        const distance = (position, i) => Math.hypot(...position.map((x, d) => x - positions[i][d]));
+        const boxDistance = (position, min, max) => Math.hypot(...position.map((x, d) => Math.max(0, min[d] - x, x - max[d])));
+        // Starts with a small tree, so that it's both updated in place and rebuilt, with positions outside the original bounds
+        data.positions.slice(3).forEach((p, i) => {
+            positions.push(p.map(x => 1.3*x));
+            tree.insert(positions.length - 1);
+            if (i % 20 !== 0) return;
+            queries.forEach(query => {
+                const result = tree.search(j => distance(query, j), (min, max) => boxDistance(query, min, max), 4, 0.9);
+                assert.deepStrictEqual(result, bruteForce(distance, positions.length, query, 4, 0.9));
+            });
+        });
+    });
+
+    it("finds every position within the search radius when no neighbor limit is set", () => {
+        const idw = new IDW(data, { searchRadius: 10 });
+        assert.strictEqual(idw._findNeighbours(idw._prepareQuery([0, 0, 0])).indices.length, idw.n);
+    });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { IDW, generateNoiseIDW, SerializationError } = require("../src");
+const { evaluateGridParallel } = require("../src/parallel");
+
+describe("evaluateGridParallel", () => {
+    it("matches evaluateGrid bit for bit", async () => {
+        const idw = generateNoiseIDW({ n: 50, dimensions: 2, valueFunction: p => [p[0], p[0]*p[1]] }, 1);
+        const options = { extent: [[-1, 1], [-1, 0.5]], resolution: [23, 17] };
+        const parallel = await evaluateGridParallel(idw, Object.assign({ workers: 2 }, options));
+        const grid = idw.evaluateGrid(options);
+        assert.deepStrictEqual(parallel, grid);
+        assert.ok(parallel.values instanceof Float64Array);
+    });
+
+    it("matches evaluateGrid with a Float32Array, uneven chunks and a different power", async () => {
+        const idw = generateNoiseIDW({ n: 40, dimensions: 3 }, 2);
+        const options = { extent: [[-1, 1], [-1, 1], [0, 1]], resolution: [7, 6, 5], arrayType: Float32Array, power: 3 };
+        const parallel = await evaluateGridParallel(idw, Object.assign({ workers: 2, chunkSize: 11 }, options));
+        const grid = idw.evaluateGrid(options);
+        assert.ok(parallel.values instanceof Float32Array);
+        assert.deepStrictEqual(parallel, grid);
+    });
+
+    it("matches evaluateGrid for a periodic, domain warped field with neighbors", async () => {
+        const noise = generateNoiseIDW({ n: 60, dimensions: 2, periodic: true, loop: true, warp: { n: 15, strength: 0.4 } }, 3);
+        noise.setNeighbors(6);
+        noise.useGaussianKernel(0.5);
+        const options = { extent: [[-1.5, 1.5], [-1, 1], [0, 1]], resolution: [12, 8, 3] };
+        const parallel = await evaluateGridParallel(noise, Object.assign({ workers: 2 }, options));
+        assert.deepStrictEqual(parallel, noise.evaluateGrid(options));
+    });
+
+    it("rejects an IDW with custom functions with a SerializationError", async () => {
+        const options = { extent: [[0, 1], [0, 1]], resolution: 4, workers: 2 };
+        const weighted = new IDW({ positions: [[0, 0], [1, 1]], values: [0, 1] }, { weightFunction: w => w*w });
+        await assert.rejects(evaluateGridParallel(weighted, options), SerializationError);
+        const custom = new IDW({ positions: [[0, 0], [1, 1]], values: [0, 1] });
+        custom.setDistanceFunctions(d => Math.abs(d), arr => Math.max(...arr));
+        await assert.rejects(evaluateGridParallel(custom, options), { name: "SerializationError", message: /evaluateGrid/ });
+        const warped = new IDW({ positions: [[0, 0], [1, 1]], values: [0, 1] });
+        warped.setDomainWarp({ evaluate: p => [0.1*p[1], 0] }, 1);
+        await assert.rejects(evaluateGridParallel(warped, options), SerializationError);
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { IDW, generateNoiseIDW } = require("../src");
+
+/**
+ * Generates query positions on a lattice covering [-1.5, 1.5] along each axis, so that some of them are outside the data.
+ */
+function queryPositions(dim) {
+    const steps = [-1.5, -0.7, 0, 0.35, 1.2];
+    return steps.map((_, i) => Array(dim).fill().map((_, d) => steps[(i + 2*d) % steps.length]));
+}
+
+/**
+ * Asserts that restored has exactly the same data and options as idw, and evaluates to the same values.
+ */
+function assertRoundTrip(idw, restored) {
+    assert.deepStrictEqual(restored.toJSON(), idw.toJSON());
+    queryPositions(idw.dim).forEach(position => {
+        assert.deepStrictEqual(restored.evaluate(position), idw.evaluate(position));
+        assert.deepStrictEqual(restored.gradient(position), idw.gradient(position));
+    });
+}
+
+const fields = {
+    "a noise field with domain warping and a loop": () =>
+        generateNoiseIDW({ n: 40, dimensions: 2, periodic: true, loop: { period: 2 }, warp: { n: 10, strength: 0.3 } }, 7),
+    "array values": () =>
+        generateNoiseIDW({ n: 30, dimensions: 2, valueFunction: p => [p[0]*p[1], Math.sin(p[0]), 1/3] }, 3),
+    "object values": () =>
+        generateNoiseIDW({ n: 30, dimensions: 3, valueFunction: p => ({ u: p[0] - p[2], v: Math.cos(p[1]) }) }, 4),
+    "a sparse periodic extent": () => {
+        const idw = generateNoiseIDW({ n: 30, dimensions: 3, extent: [[-1, 1], [0, 1], [-1, 1]] }, 5);
+        return new IDW(idw.getData(), { periodicExtent: { 1: [0, 1] }, power: 2.5 });
+    },
+    "neighbors and a Minkowski distance": () => {
+        const idw = new IDW(generateNoiseIDW({ n: 60, dimensions: 2 }, 6).getData(), { neighbors: 5, denominatorOffset: 0.01 });
+        idw.useMinkowskiDistance(3);
+        idw.useGaussianKernel(0.4);
+        return idw;
+    },
+    "a search radius and an anisotropic distance": () => {
+        const idw = new IDW(generateNoiseIDW({ n: 60, dimensions: 2 }, 8).getData(), { searchRadius: 0.8 });
+        idw.useAnisotropicDistance({ matrix: [[2, 0.5], [0.5, 1]] });
+        return idw;
+    }
+};
+
+describe("serialization round trips", () => {
+    Object.entries(fields).forEach(([name, createField]) => {
+        const idw = createField();
+
+        it(`restores ${name} exactly with toJSON and fromJSON`, () => {
+            assertRoundTrip(idw, IDW.fromJSON(idw.toJSON()));
+            assertRoundTrip(idw, IDW.fromJSON(JSON.stringify(idw)));
+        });
+
+        it(`restores ${name} exactly with toBinary and fromBinary`, () => {
+            const buffer = idw.toBinary();
+            const restored = IDW.fromBinary(buffer);
+            assertRoundTrip(idw, restored);
+            assert.deepStrictEqual(new Uint8Array(restored.toBinary()), new Uint8Array(buffer));
+        });
+    });
+
+    it("reads the binary payload from an unaligned view", () => {
+        const idw = fields["array values"]();
+        const bytes = new Uint8Array(idw.toBinary());
+        const shifted = new Uint8Array(bytes.length + 3);
+        shifted.set(bytes, 3);
+        assertRoundTrip(idw, IDW.fromBinary(shifted.subarray(3)));
+    });
+
+    it("stores the binary payload as little-endian floats", () => {
+        const idw = new IDW({ positions: [1.5, -2], values: [0.1, 3] });
+        const buffer = idw.toBinary();
+        const view = new DataView(buffer, buffer.byteLength - 32);
+        assert.deepStrictEqual([0, 8, 16, 24].map(offset => view.getFloat64(offset, true)), [1.5, -2, 0.1, 3]);
+    });
+});
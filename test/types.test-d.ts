@@ -0,0 +1,110 @@
+// Type tests for the declarations, checked by "npm run test:types". Lines marked @ts-expect-error must fail to type-check.
+import {
+    IDW,
+    generateNoiseIDW,
+    generateFractalNoiseIDW,
+    DimensionError,
+    ValidationError,
+    Gradient,
+    IDWOptions
+} from "idw";
+import { renderField, encodePNG } from "idw/src/export";
+import { contours, isosurface } from "idw/src/contour";
+import { evaluateGridParallel } from "idw/src/parallel";
+
+/**
+ * Fails to type-check unless the type of value is exactly T.
+ */
+declare function expectType<T>(value: T): void;
+type Equals<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+declare function assertEquals<A, B>(equal: Equals<A, B>): void;
+
+// Scalar values
+const scalar = new IDW({ positions: [[0, 0], [1, 0], [0, 1]], values: [1, 2, 3] });
+assertEquals<typeof scalar, IDW<number>>(true);
+expectType<number>(scalar.evaluate([0.5, 0.5]));
+expectType<number>(scalar.evaluate(new Float64Array([0.5, 0.5])));
+expectType<number[]>(scalar.gradient([0.5, 0.5]));
+expectType<{ value: number; gradient: number[] }>(scalar.evaluateWithGradient([0.5, 0.5]));
+// @ts-expect-error values must have the value type of the IDW
+scalar.addPoint([1, 1], [1, 2]);
+
+// Array values
+const rgb = new IDW({ positions: [[0, 0], [1, 1]], values: [[255, 0, 0], [0, 0, 255]] });
+assertEquals<typeof rgb, IDW<number[]>>(true);
+expectType<number[]>(rgb.evaluate([0.5, 0.5]));
+expectType<number[][]>(rgb.gradient([0.5, 0.5]));
+expectType<number[]>(rgb.evaluateDetailed([0.5, 0.5]).variance);
+
+// Object values
+const wind = new IDW({ positions: [0, 0.5, 1], values: [{ u: 1, v: 0 }, { u: 0, v: 1 }, { u: 1, v: 1 }] });
+assertEquals<typeof wind, IDW<{ u: number; v: number }>>(true);
+expectType<number>(wind.evaluate(0.25).u);
+expectType<number[]>(wind.gradient(0.25).v);
+assertEquals<Gradient<{ u: number; v: number }>, { u: number[]; v: number[] }>(true);
+// @ts-expect-error w isn't a channel
+wind.evaluate(0.25).w;
+
+// periodicExtent as a sparse per-dimension object, or as an array
+new IDW({ positions: [[0, 0], [1, 1]], values: [0, 1] }, { periodicExtent: { 1: [0, 1] } });
+new IDW({ positions: [[0, 0], [1, 1]], values: [0, 1] }, { periodicExtent: { 0: [-1, 1], 1: [0, 1] } });
+new IDW({ positions: [[0, 0], [1, 1]], values: [0, 1] }, { periodicExtent: [[0, 1], [0, 1]] });
+// @ts-expect-error the bounds of an axis are a pair [lower, upper]
+new IDW({ positions: [0, 1], values: [0, 1] }, { periodicExtent: { 0: [0] } });
+// @ts-expect-error axes are numbers
+new IDW({ positions: [0, 1], values: [0, 1] }, { periodicExtent: { x: [0, 1] } });
+
+// The function options
+const options: IDWOptions = {
+    innerDistFunction: (d, i) => i === 0 ? d*d : 4*d*d,
+    outerDistFunction: arr => Math.sqrt(IDW.sum(arr)),
+    kernelFunction: (distance, power) => Math.pow(distance, -power),
+    weightFunction: w => w*w,
+    denominatorOffset: 0.1,
+    neighbors: 8,
+    searchRadius: 2,
+    power: 3,
+    missingValues: "impute"
+};
+// @ts-expect-error missingValues only accepts the documented modes
+new IDW({ positions: [0, 1], values: [0, 1] }, { missingValues: "skip" });
+// @ts-expect-error weightFunction takes a number
+new IDW({ positions: [0, 1], values: [0, 1] }, { weightFunction: (w: string) => 1 });
+scalar.setDistanceFunctions((d, i) => Math.abs(d)*(i + 1), arr => Math.max(...arr));
+
+// Grids
+expectType<Float64Array>(scalar.evaluateGrid({ extent: [[0, 1], [0, 1]], resolution: 10 }).values);
+expectType<Float32Array>(scalar.evaluateGrid({ extent: [[0, 1], [0, 1]], resolution: [10, 5], arrayType: Float32Array }).values);
+expectType<Int32Array>(scalar.evaluateGridDetailed({ extent: [[0, 1], [0, 1]], resolution: 10 }).dominantIndex);
+expectType<Float32Array>(scalar.evaluateMany([[0, 0], [1, 1]], 2, Float32Array));
+
+// generateNoiseIDW infers the value type from valueFunction
+expectType<IDW<number>>(generateNoiseIDW({ n: 10, dimensions: 2 }));
+expectType<IDW<number>>(generateNoiseIDW({ n: 10, dimensions: 2, periodic: [true, false] }, 42));
+expectType<IDW<number[]>>(generateNoiseIDW({ n: 10, dimensions: 2, valueFunction: p => [p[0], p[1]] }, Math.random));
+expectType<IDW<{ r: number; g: number }>>(generateNoiseIDW({ n: 10, dimensions: 3, valueFunction: () => ({ r: 1, g: 0 }) }));
+generateNoiseIDW({ n: 10, dimensions: 2, loop: { period: 2 }, warp: { strength: 0.2 } });
+generateNoiseIDW({ n: 10, dimensions: 1, extent: [0, 1], loop: true });
+// @ts-expect-error rng is a function or a seed
+generateNoiseIDW({ n: 10, dimensions: 2 }, "seed");
+// @ts-expect-error n is required
+generateNoiseIDW({ dimensions: 2 });
+// @ts-expect-error NoiseIDW is only available as generateNoiseIDW.NoiseIDW
+import { NoiseIDW } from "idw";
+expectType<IDW<number[]>>(new generateNoiseIDW.NoiseIDW({ n: 10, dimensions: 2, valueFunction: p => p }).idw);
+
+// generateFractalNoiseIDW
+const fractal = generateFractalNoiseIDW({ n: 10, dimensions: 2, octaves: 3, persistence: 0.4, periodic: true }, 1);
+expectType<generateFractalNoiseIDW.FractalNoiseIDW>(fractal);
+expectType<number>(fractal.evaluate([0, 0]));
+expectType<IDW<number>[]>(fractal.getOctaves());
+
+// Errors
+const error: ValidationError = new DimensionError("message");
+expectType<string>(error.message);
+
+// Sub-modules
+const png: Uint8Array = encodePNG(renderField(fractal, { width: 16 }), { colormap: "viridis" });
+expectType<"FeatureCollection">(contours(scalar, { levels: [1.5], extent: [[0, 1], [0, 1]] }).type);
+expectType<[number, number, number][]>(isosurface(fractal, { level: 0.5, extent: [[0, 1], [0, 1], [0, 1]] }).cells);
+expectType<Promise<Float64Array>>(evaluateGridParallel(rgb, { extent: [[0, 1], [0, 1]], resolution: 4 }).then(grid => grid.values));
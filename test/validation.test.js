@@ -0,0 +1,274 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+    IDW,
+    generateNoiseIDW,
+    IDWError,
+    ValidationError,
+    DimensionError,
+    PeriodicExtentError,
+    MissingValueError,
+    SerializationError
+} = require("../src");
+
+const positions = [[0, 0], [1, 0], [0, 1]];
+
+describe("error classes", () => {
+    it("form a hierarchy under IDWError", () => {
+        [DimensionError, PeriodicExtentError, MissingValueError].forEach(ErrorClass => {
+            const error = new ErrorClass("message");
+            assert.ok(error instanceof ValidationError);
+            assert.ok(error instanceof IDWError);
+            assert.ok(error instanceof Error);
+            assert.strictEqual(error.name, ErrorClass.name);
+        });
+        assert.ok(new SerializationError("message") instanceof IDWError);
+        assert.ok(!(new SerializationError("message") instanceof ValidationError));
+    });
+});
+
+describe("IDW data", () => {
+    it("rejects data that isn't an object", () => {
+        assert.throws(() => new IDW(null), ValidationError);
+    });
+
+    it("rejects positions and values of different lengths", () => {
+        assert.throws(() => new IDW({ positions: [0, 1], values: [0] }), ValidationError);
+    });
+
+    it("rejects empty data", () => {
+        assert.throws(() => new IDW({ positions: [], values: [] }), ValidationError);
+    });
+
+    it("rejects positions that are neither numbers nor arrays", () => {
+        assert.throws(() => new IDW({ positions: [null, [1]], values: [1, 2] }), { name: "ValidationError", message: /index 0/ });
+        assert.throws(() => new IDW({ positions: [[0], null], values: [1, 2] }), { name: "ValidationError", message: /index 1/ });
+        assert.throws(() => new IDW({ positions: [0, null], values: [1, 2] }), ValidationError);
+    });
+
+    it("rejects positions with mixed dimensions", () => {
+        assert.throws(() => new IDW({ positions: [[0, 0], [1, 1, 1]], values: [1, 2] }), {
+            name: "DimensionError",
+            message: /index 1 has dimension 3/
+        });
+    });
+
+    it("rejects values of mixed types", () => {
+        assert.throws(() => new IDW({ positions: [0, 1], values: [0, [1, 2]] }), ValidationError);
+    });
+});
+
+describe("IDW options", () => {
+    const data = { positions, values: [1, 2, 3] };
+
+    it("rejects options that aren't an object", () => {
+        assert.throws(() => new IDW(data, "options"), ValidationError);
+    });
+
+    it("rejects a periodic extent with lower >= upper", () => {
+        assert.throws(() => new IDW(data, { periodicExtent: { 0: [1, 0] } }), PeriodicExtentError);
+    });
+
+    it("rejects a periodic extent with more axes than the positions", () => {
+        assert.throws(() => new IDW(data, { periodicExtent: { 2: [0, 1] } }), PeriodicExtentError);
+    });
+
+    it("reports the index of positions outside the periodic extent", () => {
+        const outside = { positions: [[0, 0], [0.5, 0.5], [0.5, 2]], values: [1, 2, 3] };
+        assert.throws(() => new IDW(outside, { periodicExtent: { 1: [0, 1] } }), {
+            name: "PeriodicExtentError",
+            message: /index 2/
+        });
+    });
+
+    it("accepts a sparse periodic extent", () => {
+        const idw = new IDW(data, { periodicExtent: { 1: [0, 1] } });
+        assert.strictEqual(idw.evaluate([0, 0.25]), idw.evaluate([0, 1.25]));
+    });
+
+    ["innerDistFunction", "outerDistFunction", "kernelFunction", "weightFunction"].forEach(name => {
+        it(`rejects ${name} that isn't a function`, () => {
+            assert.throws(() => new IDW(data, { [name]: 2 }), { name: "ValidationError", message: new RegExp(name) });
+        });
+    });
+
+    it("rejects a denominatorOffset that isn't a number", () => {
+        assert.throws(() => new IDW(data, { denominatorOffset: "1" }), ValidationError);
+    });
+
+    it("rejects a power that isn't a number", () => {
+        assert.throws(() => new IDW(data, { power: "2" }), ValidationError);
+    });
+
+    it("rejects invalid neighbors", () => {
+        assert.throws(() => new IDW(data, { neighbors: 0 }), ValidationError);
+        assert.throws(() => new IDW(data, { neighbors: 1.5 }), ValidationError);
+    });
+
+    it("rejects a non-positive searchRadius", () => {
+        assert.throws(() => new IDW(data, { searchRadius: -1 }), ValidationError);
+    });
+
+    it("rejects an unknown missingValues mode", () => {
+        assert.throws(() => new IDW(data, { missingValues: "skip" }), ValidationError);
+    });
+
+    it("uses the defaults for options that are explicitly undefined", () => {
+        const idw = new IDW(data, { power: undefined, denominatorOffset: undefined, missingValues: undefined });
+        assert.strictEqual(idw.power, 2);
+        assert.strictEqual(idw.denominatorOffset, 0);
+        assert.strictEqual(idw.missingValues, "error");
+    });
+});
+
+describe("missing values", () => {
+    const data = { positions, values: [1, NaN, 3] };
+
+    it("throws a MissingValueError by default", () => {
+        assert.throws(() => new IDW(data), { name: "MissingValueError", message: /index 1/ });
+        assert.throws(() => new IDW(data, { missingValues: "error" }), MissingValueError);
+    });
+
+    it("throws a MissingValueError for positions containing NaN", () => {
+        assert.throws(() => new IDW({ positions: [[0, 0], [NaN, 1]], values: [1, 2] }), MissingValueError);
+    });
+
+    it("removes missing data with \"drop\"", () => {
+        const idw = new IDW(data, { missingValues: "drop" });
+        assert.deepStrictEqual(idw.getData(), { positions: [[0, 0], [0, 1]], values: [1, 3] });
+    });
+
+    it("interpolates missing values from the complete data with \"impute\"", () => {
+        const idw = new IDW({ positions, values: [1, null, 3] }, { missingValues: "impute" });
+        const complete = new IDW({ positions: [[0, 0], [0, 1]], values: [1, 3] });
+        assert.deepStrictEqual(idw.getData().positions, positions);
+        assert.deepStrictEqual(idw.getData().values, [1, complete.evaluate([1, 0]), 3]);
+    });
+
+    it("removes positions containing NaN with \"impute\"", () => {
+        const idw = new IDW({ positions: [[0, 0], [NaN, 1], [0, 1]], values: [1, 2, 3] }, { missingValues: "impute" });
+        assert.deepStrictEqual(idw.getData(), { positions: [[0, 0], [0, 1]], values: [1, 3] });
+    });
+
+    it("applies the policy to addPoint", () => {
+        assert.throws(() => new IDW({ positions, values: [1, 2, 3] }).addPoint([1, 1], NaN), MissingValueError);
+        const idw = new IDW({ positions, values: [1, 2, 3] }, { missingValues: "drop" });
+        idw.addPoint([1, 1], NaN);
+        assert.strictEqual(idw.n, 3);
+    });
+});
+
+describe("incremental updates", () => {
+    const points = Array(200).fill().map((_, i) => [Math.sin(i), Math.cos(3*i)]);
+    const data = { positions: points.slice(0, 100), values: points.slice(0, 100).map(p => [p[0], p[0] * p[1]]) };
+
+    [{}, { neighbors: 4 }, { searchRadius: 0.5 }, { neighbors: 4, periodicExtent: { 0: [-1, 1] } }].forEach(options => {
+        it(`matches a rebuilt IDW after addPoint and updateValue with ${JSON.stringify(options)}`, () => {
+            const idw = new IDW(data, options);
+            points.slice(100).forEach(p => idw.addPoint(p, [p[1], 1]));
+            idw.updateValue(3, [5, 5]);
+            idw.updateValue(150, [-5, 0]);
+            const rebuilt = new IDW(idw.getData(), options);
+            [[0, 0], [0.5, -0.2], [0.99, 0.99], [-0.7, 0.1]].forEach(q => {
+                assert.deepStrictEqual(idw.evaluate(q), rebuilt.evaluate(q));
+            });
+        });
+    });
+
+    it("doesn't modify the arrays passed to the constructor", () => {
+        const idw = new IDW(data);
+        idw.addPoint([0, 0], [1, 1]);
+        idw.updateValue(0, [2, 2]);
+        assert.strictEqual(data.positions.length, 100);
+        assert.strictEqual(data.values.length, 100);
+        assert.notDeepStrictEqual(data.values[0], [2, 2]);
+    });
+});
+
+describe("query positions", () => {
+    const idw = new IDW({ positions, values: [1, 2, 3] });
+
+    it("rejects positions of the wrong length", () => {
+        assert.throws(() => idw.evaluate([0, 0, 0]), DimensionError);
+        assert.throws(() => idw.evaluate(0.5), DimensionError);
+        assert.throws(() => idw.evaluateMany([[0, 0], [0]]), DimensionError);
+    });
+
+    it("rejects positions containing NaN", () => {
+        assert.throws(() => idw.evaluate([0, NaN]), ValidationError);
+        assert.throws(() => idw.gradient([NaN, 0]), ValidationError);
+    });
+
+    it("rejects positions for evaluateMany that aren't an array", () => {
+        assert.throws(() => idw.evaluateMany(null), ValidationError);
+        assert.throws(() => idw.evaluateMany([[0, 0], null]), ValidationError);
+    });
+
+    it("accepts typed arrays", () => {
+        assert.strictEqual(idw.evaluate(new Float64Array([0.2, 0.3])), idw.evaluate([0.2, 0.3]));
+    });
+});
+
+describe("crossValidate", () => {
+    const idw = new IDW({ positions, values: [1, 2, 3] });
+
+    it("rejects powers and denominator offsets that aren't numbers", () => {
+        assert.throws(() => idw.crossValidate({ powers: ["a"] }), ValidationError);
+        assert.throws(() => idw.crossValidate({ powers: [2, NaN] }), ValidationError);
+        assert.throws(() => idw.crossValidate({ powers: [] }), ValidationError);
+        assert.throws(() => idw.crossValidate({ denominatorOffsets: [null] }), ValidationError);
+    });
+
+    it("rejects an unknown metric", () => {
+        assert.throws(() => idw.crossValidate({ metric: "mse" }), ValidationError);
+    });
+});
+
+describe("generateNoiseIDW", () => {
+    it("keeps minValue and maxValue that are 0", () => {
+        const positive = generateNoiseIDW({ n: 20, dimensions: 2, minValue: 0, maxValue: 5 }, 1).getData().values;
+        assert.ok(positive.every(v => v >= 0 && v <= 5));
+        assert.ok(positive.some(v => v > 1));
+        const negative = generateNoiseIDW({ n: 20, dimensions: 2, minValue: -2, maxValue: 0 }, 1).getData().values;
+        assert.ok(negative.every(v => v >= -2 && v <= 0));
+    });
+
+    it("rejects minValue greater than maxValue", () => {
+        assert.throws(() => generateNoiseIDW({ n: 20, dimensions: 2, minValue: 2 }, 1), ValidationError);
+    });
+
+    it("rejects invalid n", () => {
+        assert.throws(() => generateNoiseIDW({ n: 1, dimensions: 2 }, 1), ValidationError);
+        assert.throws(() => generateNoiseIDW({ n: 2.5, dimensions: 2 }, 1), ValidationError);
+        assert.throws(() => generateNoiseIDW({ dimensions: 2 }, 1), ValidationError);
+    });
+
+    it("rejects invalid dimensions", () => {
+        assert.throws(() => generateNoiseIDW({ n: 20, dimensions: 0 }, 1), ValidationError);
+    });
+
+    it("rejects invalid periodic", () => {
+        assert.throws(() => generateNoiseIDW({ n: 20, dimensions: 2, periodic: [true] }, 1), DimensionError);
+        assert.throws(() => generateNoiseIDW({ n: 20, dimensions: 2, periodic: "yes" }, 1), ValidationError);
+    });
+
+    it("rejects invalid extent", () => {
+        assert.throws(() => generateNoiseIDW({ n: 20, dimensions: 2, extent: [[0, 1]] }, 1), DimensionError);
+        assert.throws(() => generateNoiseIDW({ n: 20, dimensions: 2, extent: [[1, 0], [0, 1]] }, 1), ValidationError);
+    });
+
+    it("rejects an invalid rng", () => {
+        assert.throws(() => generateNoiseIDW({ n: 20, dimensions: 2 }, "seed"), ValidationError);
+    });
+});
+
+describe("serialization", () => {
+    it("wraps invalid JSON in a SerializationError", () => {
+        assert.throws(() => IDW.fromJSON("{"), SerializationError);
+    });
+
+    it("rejects custom functions", () => {
+        const idw = new IDW({ positions, values: [1, 2, 3] }, { weightFunction: w => w*w });
+        assert.throws(() => idw.toJSON(), SerializationError);
+    });
+});